@@ -44,14 +44,16 @@ async function main() {
   }
 
   const ctx = await esbuild.context({
-    entryPoints: ['src/extension.js'],
+    // The workers evaluate .smiles.js files and search for common substructures
+    // outside the extension host
+    entryPoints: ['src/extension.js', 'src/smilesWorker.js', 'src/mcsWorker.js'],
     bundle: true,
     format: 'cjs',
     minify: production,
     sourcemap: !production,
     sourcesContent: false,
     platform: 'node',
-    outfile: 'dist/extension.js',
+    outdir: 'dist',
     external: ['vscode'],
     logLevel: 'silent',
     plugins: [
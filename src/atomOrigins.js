@@ -0,0 +1,210 @@
+/**
+ * Atom Origins - Maps the tokens of a definition to the atoms they produce
+ *
+ * Each token of a definition body expands to primitive SELFIES tokens (one for
+ * an atom or branch token, the resolved fragment for a `[fragment]` reference,
+ * the repeated pattern for `repeat(...)`). Decoding the resolved SELFIES up to
+ * and including a token tells which atoms it derived; the decoder's SMILES
+ * writer then fixes the order of those atoms in the decoded SMILES, which is
+ * also the atom order RDKit uses when it parses that SMILES.
+ *
+ * Lines and columns are 0-based, matching VS Code.
+ */
+
+import { resolve, decodeToAST } from 'selfies-js';
+import { findCommentStart } from './fragmentScanner';
+
+const DEFINITION_HEAD = /^\s*\[[^\]]+\]\s*=/;
+const BODY_UNIT = /repeat\s*\([^)]*\)|\[[^\]]*\]/g;
+const SELFIES_TOKEN = /\[[^\]]*\]/g;
+const BRANCH_OR_RING = /^\[[^\]]*(Branch|Ring)([1-3])\]$/;
+
+/**
+ * Find which token of a definition body the cursor is on
+ * @param {string} line - Line of text holding the definition
+ * @param {number} character - Cursor column
+ * @returns {{index: number, start: number, end: number}|null} index counts body tokens,
+ *   with a whole `repeat(...)` call as one token, like the parser does
+ */
+function findBodyTokenAt(line, character) {
+  const head = line.match(DEFINITION_HEAD);
+  if (!head || character < head[0].length || character > findCommentStart(line)) {
+    return null;
+  }
+
+  const body = line.slice(head[0].length, findCommentStart(line));
+  const pattern = new RegExp(BODY_UNIT.source, 'g');
+  let index = 0;
+  let match = pattern.exec(body);
+  while (match) {
+    const start = head[0].length + match.index;
+    const end = start + match[0].length;
+    if (character >= start && character <= end) {
+      return { index, start, end };
+    }
+    index += 1;
+    match = pattern.exec(body);
+  }
+
+  return null;
+}
+
+/**
+ * Expand one definition token to primitive SELFIES tokens
+ */
+function expandToken(program, token) {
+  const expandSymbol = (symbol) => {
+    const name = symbol.slice(1, -1);
+    if (program.definitions.has(name)) {
+      return resolve(program, name, { validateValence: false }).match(SELFIES_TOKEN) || [];
+    }
+    return [symbol];
+  };
+
+  if (typeof token === 'object' && token.type === 'REPEAT_CALL') {
+    const pattern = (token.pattern.match(SELFIES_TOKEN) || []).flatMap(expandSymbol);
+    return Array.from({ length: token.count }, () => pattern).flat();
+  }
+  return expandSymbol(token);
+}
+
+/**
+ * Order atoms the way the decoder writes them into SMILES
+ *
+ * Mirrors the depth-first walk of selfies-js buildSmiles: start at atom 0 and
+ * visit neighbors in bond order, ring closures excluded.
+ *
+ * @returns {Map<number, number>} Derivation index to SMILES atom index
+ */
+function smilesAtomOrder(ast) {
+  const neighbors = ast.atoms.map(() => []);
+  ast.bonds.forEach((bond) => {
+    neighbors[bond.from].push(bond.to);
+    neighbors[bond.to].push(bond.from);
+  });
+
+  const order = new Map();
+  const visit = (atom, parent) => {
+    if (order.has(atom)) return;
+    order.set(atom, order.size);
+    neighbors[atom]
+      .filter((neighbor) => !order.has(neighbor) && neighbor !== parent)
+      .forEach((neighbor) => visit(neighbor, atom));
+  };
+  if (ast.atoms.length > 0) {
+    visit(0, null);
+  }
+  return order;
+}
+
+/**
+ * Number of index tokens a Branch or Ring token reads, or 0 for other tokens
+ */
+function indexTokenCount(token) {
+  const match = typeof token === 'string' && token.match(BRANCH_OR_RING);
+  return match ? Number(match[2]) : 0;
+}
+
+/**
+ * Span of definition tokens that act together with the token at tokenIndex
+ *
+ * A Branch or Ring token and the index tokens after it only mean something
+ * together, so the cursor on any of them selects all of them.
+ */
+function tokenSpan(tokens, tokenIndex) {
+  let index = 0;
+  while (index <= tokenIndex) {
+    const end = index + 1 + indexTokenCount(tokens[index]);
+    if (tokenIndex < end) {
+      return { start: index, end: Math.min(end, tokens.length) };
+    }
+    index = end;
+  }
+  return { start: tokenIndex, end: tokenIndex + 1 };
+}
+
+/**
+ * Atoms of the branch opened right after the first `firstAtom` atoms were derived
+ *
+ * The branch starts with the next atom derived and runs until the main chain
+ * (or another branch) bonds to the same root atom again.
+ */
+function branchAtoms(ast, firstAtom) {
+  const incoming = (atom) => ast.bonds.find((bond) => bond.to === atom);
+  const first = incoming(firstAtom);
+  if (!first) {
+    return [];
+  }
+
+  const atoms = [];
+  for (let atom = firstAtom; atom < ast.atoms.length; atom += 1) {
+    const bond = incoming(atom);
+    if (atom > firstAtom && bond && bond.from === first.from) break;
+    atoms.push(atom);
+  }
+  return atoms;
+}
+
+/**
+ * Find the atoms and bonds a definition token contributes to the decoded molecule
+ * @param {Object} program - Program from loadWithImports/parse
+ * @param {string} name - Definition name
+ * @param {number} tokenIndex - Index into the definition's tokens
+ * @returns {{atoms: number[], bonds: Array<[number, number]>}} Atom indices in the
+ *   decoded SMILES; bonds as pairs of those indices
+ * @throws {Error} If the definition cannot be resolved
+ */
+function getTokenAtoms(program, name, tokenIndex) {
+  const definition = program.definitions.get(name);
+  if (!definition || !definition.tokens || tokenIndex >= definition.tokens.length) {
+    return { atoms: [], bonds: [] };
+  }
+
+  const { tokens } = definition;
+  const span = tokenSpan(tokens, tokenIndex);
+  const expanded = tokens.map((token) => expandToken(program, token));
+
+  // Atoms are only ever appended, so prefixes decode to a prefix of the atoms
+  const before = decodeToAST(expanded.slice(0, span.start).flat().join(''));
+  const after = decodeToAST(expanded.slice(0, span.end).flat().join(''));
+  const ast = decodeToAST(expanded.flat().join(''));
+
+  const derived = new Set();
+  for (let atom = before.atoms.length; atom < after.atoms.length; atom += 1) {
+    derived.add(atom);
+  }
+  if (BRANCH_OR_RING.test(tokens[span.start]) && tokens[span.start].includes('Branch')) {
+    branchAtoms(ast, before.atoms.length).forEach((atom) => derived.add(atom));
+  }
+
+  // Bonds inside the derived atoms and into them, plus ring closures the token made
+  const bonds = ast.bonds
+    .filter((bond) => derived.has(bond.to))
+    .map((bond) => [bond.from, bond.to]);
+  const ringKey = (ring) => `${ring.from}-${ring.to}`;
+  const earlierRings = new Set(before.rings.map(ringKey));
+  const ownRings = after.rings.filter((ring) => !earlierRings.has(ringKey(ring)));
+  ast.rings
+    .filter((ring) => ownRings.some((own) => ringKey(own) === ringKey(ring))
+      || (derived.has(ring.from) && derived.has(ring.to)))
+    .forEach((ring) => {
+      bonds.push([ring.from, ring.to]);
+      derived.add(ring.from);
+      derived.add(ring.to);
+    });
+
+  const order = smilesAtomOrder(ast);
+  const toSmilesIndex = (atom) => order.get(atom);
+
+  return {
+    atoms: Array.from(derived).map(toSmilesIndex).filter((atom) => atom !== undefined),
+    bonds: bonds
+      .map((pair) => pair.map(toSmilesIndex))
+      .filter((pair) => pair.every((atom) => atom !== undefined)),
+  };
+}
+
+export {
+  findBodyTokenAt,
+  getTokenAtoms,
+};
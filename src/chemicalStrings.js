@@ -0,0 +1,183 @@
+/**
+ * Chemical Strings - Finds SMILES and SELFIES strings in arbitrary text
+ *
+ * Used by round-trip diagnostics to find SMILES literals in source files and
+ * by the preview to pick up the string under the cursor in any language
+ * (notebooks, CSV, JSON, Markdown, ...).
+ *
+ * Lines and columns are 0-based, matching VS Code.
+ */
+
+const SELFIES_STRING = /^(\[[^\]\s[]+\])+$/;
+const SMILES_CHARACTERS = /^[A-Za-z0-9@+\-[\]()=#$%/\\.:*]+$/;
+const ORGANIC_SUBSET = /^(Cl|Br|[BCNOSPFI]|[bcnosp])*$/;
+// Bonds, branches, rings, bracket atoms and stereo marks, which prose does not use
+const SMILES_SYNTAX = /[=#$()[\]\d%@/\\]/;
+const RING_BOND = /%\d{2}|\d/g;
+const STRING_LITERAL = /(['"`])(.*?)\1/g;
+const WORD_DELIMITERS = /[\s,;|'"`]/;
+
+/**
+ * Check if a line contains a SMILES string
+ * @param {string} line - Line of text
+ * @returns {boolean}
+ */
+function looksLikeSMILES(line) {
+  // SMILES patterns: contains typical SMILES characters and structure
+  const smilesPattern = /[CNOPSFClBrI[\]()=@#\\/+-]/;
+  const hasRingNumbers = /\d/;
+  const hasBonds = /[=#]/;
+
+  return smilesPattern.test(line) && (hasRingNumbers.test(line) || hasBonds.test(line));
+}
+
+/**
+ * Check if a string is made of SELFIES bracket tokens only
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeSELFIES(text) {
+  return SELFIES_STRING.test(text);
+}
+
+/**
+ * Check if a string could be SMILES, including short ones such as `CCO`
+ *
+ * Letters outside bracket atoms must spell organic-subset elements, ring bonds
+ * must come in pairs, and aromatic (lowercase) atoms must be in a ring. That
+ * rules out most ordinary words, e.g. `No`, `Cons` or `CO2`, but not short
+ * capitalised ones such as `IN`; see findChemicalStringAt for bare words.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isPlausibleSMILES(text) {
+  if (!SMILES_CHARACTERS.test(text) || !/[A-Za-z]/.test(text)) {
+    return false;
+  }
+  const outsideBrackets = text.replace(/\[[^\]]*\]/g, '');
+  const letters = outsideBrackets.replace(/[^A-Za-z]/g, '');
+  if (!ORGANIC_SUBSET.test(letters)) {
+    return false;
+  }
+
+  const ringBonds = outsideBrackets.match(RING_BOND) || [];
+  const counts = new Map();
+  ringBonds.forEach((bond) => counts.set(bond, (counts.get(bond) || 0) + 1));
+  if (Array.from(counts.values()).some((count) => count % 2 !== 0)) {
+    return false;
+  }
+  return ringBonds.length > 0 || !/[bcnosp]/.test(letters.replace(/Cl|Br/g, ''));
+}
+
+/**
+ * Extract SMILES strings from a line
+ * @param {string} line - Line of text
+ * @param {number} lineNumber - Line number (0-indexed)
+ * @returns {Array<{smiles: string, start: number, end: number, line: number}>}
+ */
+function extractSMILESFromLine(line, lineNumber) {
+  const smilesList = [];
+
+  // Pattern 1: String literals ('...' or "...")
+  const stringLiteralPattern = /(['"])(.*?)\1/g;
+  let match = stringLiteralPattern.exec(line);
+
+  while (match !== null) {
+    const potentialSMILES = match[2];
+    if (looksLikeSMILES(potentialSMILES)) {
+      smilesList.push({
+        smiles: potentialSMILES,
+        start: match.index + 1, // +1 to skip quote
+        end: match.index + match[0].length - 1, // -1 to skip closing quote
+        line: lineNumber,
+      });
+    }
+    match = stringLiteralPattern.exec(line);
+  }
+
+  // Pattern 2: SELFIES "smiles" field
+  const smilesFieldPattern = /smiles\s*:\s*(['"])(.*?)\1/g;
+  let match2 = smilesFieldPattern.exec(line);
+  while (match2 !== null) {
+    const smiles = match2[2];
+    const start = match2.index + match2[0].indexOf(match2[1]) + 1;
+    smilesList.push({
+      smiles,
+      start,
+      end: start + smiles.length,
+      line: lineNumber,
+    });
+    match2 = smilesFieldPattern.exec(line);
+  }
+
+  return smilesList;
+}
+
+/**
+ * Find the unquoted word around a column, e.g. a CSV cell
+ */
+function findWordAt(line, character) {
+  let start = Math.min(character, line.length);
+  while (start > 0 && !WORD_DELIMITERS.test(line[start - 1])) start -= 1;
+  let end = Math.min(character, line.length);
+  while (end < line.length && !WORD_DELIMITERS.test(line[end])) end += 1;
+  return start < end ? { text: line.slice(start, end), start, end } : null;
+}
+
+/**
+ * Find the SMILES or SELFIES string under the cursor
+ *
+ * String literals and code spans are preferred, then the bare word around the
+ * cursor. A bare word only counts as SMILES if it has bonds, branches, rings or
+ * bracket atoms, so prose such as `CS` or `BOP` is never picked up.
+ *
+ * @param {string} line - Line of text
+ * @param {number} lineNumber - Line number (0-indexed)
+ * @param {number} character - Cursor column
+ * @returns {{text: string, kind: 'smiles'|'selfies', start: number, end: number,
+ *   line: number}|null}
+ */
+function findChemicalStringAt(line, lineNumber, character) {
+  const candidates = extractSMILESFromLine(line, lineNumber)
+    .map(({ smiles, start, end }) => ({ text: smiles, start, end }));
+
+  STRING_LITERAL.lastIndex = 0;
+  let match = STRING_LITERAL.exec(line);
+  while (match !== null) {
+    candidates.push({
+      text: match[2],
+      start: match.index + 1,
+      end: match.index + match[0].length - 1,
+    });
+    match = STRING_LITERAL.exec(line);
+  }
+
+  const word = findWordAt(line, character);
+  if (word && (looksLikeSELFIES(word.text) || SMILES_SYNTAX.test(word.text))) {
+    candidates.push(word);
+  }
+
+  const found = candidates.find(({ text, start, end }) => character >= start
+    && character <= end
+    && (looksLikeSELFIES(text) || isPlausibleSMILES(text)));
+  if (!found) {
+    return null;
+  }
+
+  return {
+    text: found.text,
+    kind: looksLikeSELFIES(found.text) ? 'selfies' : 'smiles',
+    start: found.start,
+    end: found.end,
+    line: lineNumber,
+  };
+}
+
+export {
+  looksLikeSMILES,
+  looksLikeSELFIES,
+  isPlausibleSMILES,
+  extractSMILESFromLine,
+  findChemicalStringAt,
+};
@@ -0,0 +1,84 @@
+import * as vscode from 'vscode';
+import { scanFragments } from './fragmentScanner';
+import { parseSmilesModule } from './smilesDeclarations';
+
+/**
+ * Find the definitions that get CodeLens actions
+ * @returns {{name: string, line: number, start: number}[]}
+ */
+function findLensTargets(document) {
+  if (document.fileName.endsWith('.smiles.js')) {
+    // Exported bindings, as in the Outline
+    return parseSmilesModule(document.getText()).declarations
+      .filter((declaration) => declaration.exportName)
+      .map((declaration) => ({
+        name: declaration.exportName,
+        line: declaration.line,
+        start: declaration.start,
+      }));
+  }
+  return scanFragments(document.getText()).definitions;
+}
+
+/**
+ * Create a CodeLens provider offering the per-molecule commands above each
+ * definition in .selfies files and each exported binding in .smiles.js files
+ *
+ * Lenses are listed from the source alone; the molecule is only resolved or
+ * evaluated when one of them is clicked.
+ *
+ * @returns {vscode.Disposable}
+ */
+function createCodeLensProvider() {
+  const onDidChangeCodeLenses = new vscode.EventEmitter();
+
+  const provider = vscode.languages.registerCodeLensProvider(
+    [
+      { language: 'selfies' },
+      { language: 'javascript', pattern: '**/*.smiles.js' },
+    ],
+    {
+      onDidChangeCodeLenses: onDidChangeCodeLenses.event,
+
+      provideCodeLenses(document) {
+        if (!vscode.workspace.getConfiguration('selfies').get('codeLens', true)) {
+          return [];
+        }
+
+        const isSmilesJS = document.fileName.endsWith('.smiles.js');
+        return findLensTargets(document).flatMap(({ name, line, start }) => {
+          const range = new vscode.Range(line, start, line, start);
+          const args = [document.uri, name];
+          const lenses = [
+            { title: 'Preview', command: 'selfies.previewMolecule', arguments: [document.uri, line, start] },
+            { title: 'Compare…', command: 'selfies.compareMolecules', arguments: args },
+            { title: 'Copy SMILES', command: 'selfies.copySmiles', arguments: args },
+            { title: 'Copy SELFIES', command: 'selfies.copySelfies', arguments: args },
+            { title: 'Export SDF', command: 'selfies.exportMolecule', arguments: [...args, 'sdf'] },
+          ];
+          if (isSmilesJS) {
+            lenses.push({ title: 'Refactor to code', command: 'selfies.refactorMolecule', arguments: args });
+          }
+          return lenses.map((command) => new vscode.CodeLens(range, command));
+        });
+      },
+    },
+  );
+
+  // Listen for the setting being toggled
+  const configurationListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('selfies.codeLens')) {
+      onDidChangeCodeLenses.fire();
+    }
+  });
+
+  return {
+    dispose: () => {
+      provider.dispose();
+      configurationListener.dispose();
+      onDidChangeCodeLenses.dispose();
+    },
+  };
+}
+
+export { createCodeLensProvider };
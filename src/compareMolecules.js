@@ -0,0 +1,120 @@
+import * as vscode from 'vscode';
+import { scanFragments } from './fragmentScanner';
+import { parseSmilesModule } from './smilesDeclarations';
+import { findMolecule } from './moleculeCollector';
+import { readText } from './navigation';
+
+/**
+ * Names that may be molecules in a file, found without evaluating it
+ *
+ * All definitions of a .selfies file; exported bindings and `Fragment('...')`
+ * consts of a .smiles.js file. Whether a binding really is a molecule is only
+ * known once it is picked and evaluated.
+ */
+function listMoleculeNames(text, isSmilesJS) {
+  if (!isSmilesJS) {
+    return scanFragments(text).definitions.map(({ name, line }) => ({ name, line }));
+  }
+  return parseSmilesModule(text).declarations
+    .filter((declaration) => declaration.exportName || declaration.smiles)
+    .map((declaration) => ({
+      name: declaration.exportName || declaration.name,
+      line: declaration.line,
+    }));
+}
+
+/**
+ * Collect quick pick items for every molecule in the workspace, active file first
+ *
+ * Files are read, not opened, so listing them fires no document events.
+ */
+async function listWorkspaceMolecules() {
+  const uris = await vscode.workspace.findFiles(
+    '**/{*.selfies,*.smiles.js}',
+    '**/node_modules/**',
+  );
+
+  const activeUri = vscode.window.activeTextEditor?.document.uri.toString();
+  uris.sort((a, b) => Number(b.toString() === activeUri) - Number(a.toString() === activeUri));
+
+  const texts = await Promise.all(uris.map(readText));
+  return uris.flatMap((uri, index) => {
+    if (texts[index] === null) {
+      return [];
+    }
+    const source = vscode.workspace.asRelativePath(uri);
+    return listMoleculeNames(texts[index], uri.path.endsWith('.smiles.js'))
+      .map(({ name, line }) => ({
+        label: name,
+        detail: `${source}:${line + 1}`,
+        uri,
+        source,
+      }));
+  });
+}
+
+/**
+ * Resolve a picked item to its molecule, evaluating only its file
+ */
+async function resolvePick(item) {
+  const { molecule, error } = await vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Window, title: `Resolving ${item.label}...` },
+    () => findMolecule(item.uri, item.label),
+  );
+  if (!molecule) {
+    vscode.window.showErrorMessage(`Cannot compare ${item.label}: ${error}`);
+    return null;
+  }
+  return { ...molecule, source: item.source };
+}
+
+/**
+ * Ask the user for two molecules from any .selfies or .smiles.js file
+ * @param {Object} [firstMolecule] - Molecule from findMolecule to compare, so only
+ *   the second one is asked for
+ * @param {vscode.Uri} [firstUri] - File the first molecule is defined in
+ * @returns {Promise<Object[]|null>} The two molecules, or null if cancelled
+ */
+export async function pickMoleculePair(firstMolecule, firstUri) {
+  const itemsPromise = listWorkspaceMolecules();
+
+  let firstItem;
+  let first;
+  if (firstMolecule) {
+    const source = vscode.workspace.asRelativePath(firstUri);
+    firstItem = { label: firstMolecule.name, source };
+    first = { ...firstMolecule, source };
+  } else {
+    firstItem = await vscode.window.showQuickPick(itemsPromise, {
+      title: 'Compare Molecules (1/2)',
+      placeHolder: 'Select the first molecule',
+      matchOnDetail: true,
+    });
+    first = firstItem && await resolvePick(firstItem);
+  }
+  if (!first) {
+    return null;
+  }
+
+  const items = (await itemsPromise).filter((item) => item.label !== firstItem.label
+    || item.source !== firstItem.source);
+  if (items.length < 1) {
+    vscode.window.showErrorMessage('At least two molecules are needed for a comparison');
+    return null;
+  }
+
+  const secondItem = await vscode.window.showQuickPick(
+    items,
+    {
+      title: `Compare Molecules (2/2): ${first.name} with...`,
+      placeHolder: 'Select the second molecule',
+      matchOnDetail: true,
+    },
+  );
+  const second = secondItem && await resolvePick(secondItem);
+  if (!second) {
+    return null;
+  }
+
+  return [first, second];
+}
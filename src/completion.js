@@ -0,0 +1,171 @@
+import * as vscode from 'vscode';
+import {
+  loadWithImports, resolve, getFormula, getAlphabet,
+} from 'selfies-js';
+import {
+  isInDefinitionBody, findBracketContext, selectFragmentNames,
+} from './completionContext';
+
+/**
+ * Charged, isotope and stereo atoms that are valid SELFIES but not part of
+ * the basic alphabet returned by selfies-js
+ */
+const EXTRA_ATOM_TOKENS = [
+  '[C+1]', '[C-1]', '[N+1]', '[N-1]', '[O+1]', '[O-1]',
+  '[S+1]', '[S-1]', '[P+1]', '[B-1]', '[NH1]', '[NH1+1]',
+  '[2H]', '[13C]', '[15N]', '[18O]',
+  '[C@H1]', '[C@@H1]', '[C@]', '[C@@]',
+];
+
+/**
+ * Get the SELFIES tokens offered by completion, grouped by kind
+ * @returns {{atoms: string[], structural: string[]}}
+ */
+function getSelfiesTokens() {
+  const atoms = [];
+  const structural = [];
+
+  getAlphabet().forEach((token) => {
+    // Skip the escaped stereo ring tokens, they are not typed by hand
+    if (token.includes('\\')) return;
+
+    if (token.includes('Branch') || token.includes('Ring')) {
+      structural.push(token);
+    } else {
+      atoms.push(token);
+    }
+  });
+
+  EXTRA_ATOM_TOKENS.forEach((token) => {
+    if (!atoms.includes(token)) {
+      atoms.push(token);
+    }
+  });
+
+  return { atoms, structural };
+}
+
+/**
+ * Create a completion item for a bracketed token
+ */
+function createTokenItem(token, kind, range, sortGroup) {
+  const item = new vscode.CompletionItem(token, kind);
+  item.insertText = token;
+  item.filterText = token;
+  item.range = range;
+  item.sortText = `${sortGroup}${token}`;
+  return item;
+}
+
+/**
+ * Completion item for a fragment reference, resolving its SELFIES on demand
+ */
+class FragmentCompletionItem extends vscode.CompletionItem {
+  constructor(program, name, importedFrom, range) {
+    const label = { label: `[${name}]`, description: importedFrom || undefined };
+    super(label, vscode.CompletionItemKind.Variable);
+    this.insertText = `[${name}]`;
+    this.filterText = `[${name}]`;
+    this.range = range;
+    this.sortText = `0[${name}]`;
+    this.program = program;
+    this.fragmentName = name;
+  }
+
+  resolve() {
+    try {
+      const selfies = resolve(this.program, this.fragmentName, { validateValence: false });
+      let formula = null;
+      try {
+        formula = getFormula(selfies);
+      } catch (err) {
+        // Formula might not be available
+      }
+
+      this.detail = formula ? `${formula}  ${selfies}` : selfies;
+      this.documentation = new vscode.MarkdownString()
+        .appendCodeblock(selfies, 'selfies');
+    } catch (err) {
+      this.detail = `Unresolved: ${err.message}`;
+    }
+  }
+}
+
+/**
+ * Create a completion provider for SELFIES files
+ * Suggests fragment names (local and imported), SELFIES alphabet tokens
+ * and the repeat() macro
+ * @returns {vscode.Disposable}
+ */
+function createCompletionProvider() {
+  const { atoms, structural } = getSelfiesTokens();
+
+  const provider = {
+    provideCompletionItems(document, position) {
+      const items = [];
+      const lineText = document.lineAt(position.line).text;
+
+      // Offer the repeat macro when typing outside of a token in a definition body
+      if (isInDefinitionBody(lineText, position.character)
+        && !/\[[^\]]*$/.test(lineText.slice(0, position.character))) {
+        const repeatItem = new vscode.CompletionItem('repeat', vscode.CompletionItemKind.Function);
+        repeatItem.insertText = new vscode.SnippetString('repeat(')
+          .appendPlaceholder('[C]')
+          .appendText(', ')
+          .appendPlaceholder('2')
+          .appendText(')');
+        repeatItem.detail = 'repeat(pattern, count)';
+        repeatItem.documentation = new vscode.MarkdownString(
+          'Repeat a sequence of SELFIES tokens or fragment references `count` times.',
+        );
+        items.push(repeatItem);
+      }
+
+      const context = findBracketContext(lineText, position.character);
+      if (!context) {
+        return items;
+      }
+      const range = new vscode.Range(position.line, context.start, position.line, context.end);
+
+      // Collect fragment names from this file and its imports
+      let program = null;
+      try {
+        program = loadWithImports(document.getText(), document.uri.fsPath);
+      } catch (err) {
+        // Fall back to alphabet tokens only
+      }
+
+      if (program) {
+        selectFragmentNames(program.definitions, position.line)
+          .forEach(({ name, importedFrom }) => {
+            items.push(new FragmentCompletionItem(program, name, importedFrom, range));
+          });
+      }
+
+      atoms.forEach((token) => {
+        items.push(createTokenItem(token, vscode.CompletionItemKind.Constant, range, '1'));
+      });
+
+      structural.forEach((token) => {
+        items.push(createTokenItem(token, vscode.CompletionItemKind.Keyword, range, '2'));
+      });
+
+      return items;
+    },
+
+    resolveCompletionItem(item) {
+      if (item instanceof FragmentCompletionItem) {
+        item.resolve();
+      }
+      return item;
+    },
+  };
+
+  return vscode.languages.registerCompletionItemProvider(
+    { language: 'selfies' },
+    provider,
+    '[',
+  );
+}
+
+export { createCompletionProvider };
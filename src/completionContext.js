@@ -0,0 +1,72 @@
+/**
+ * Completion Context - Decides what SELFIES completion offers at a cursor
+ *
+ * Kept free of the editor API so it can be tested on plain text. Columns and
+ * lines are 0-based, matching VS Code.
+ */
+
+/**
+ * Check if a column is in the body of a definition, outside comments and imports
+ * @param {string} lineText
+ * @param {number} character
+ * @returns {boolean}
+ */
+function isInDefinitionBody(lineText, character) {
+  const beforeCursor = lineText.slice(0, character);
+  return beforeCursor.includes('=')
+    && !beforeCursor.includes('#')
+    && !/^\s*import\b/.test(lineText);
+}
+
+/**
+ * Find the bracket token being typed at a column
+ * @param {string} lineText
+ * @param {number} character
+ * @returns {{start: number, end: number}|null} Columns to replace, including an
+ *   auto-closed `]`, or null when the cursor is not in a token of a definition body
+ */
+function findBracketContext(lineText, character) {
+  if (!isInDefinitionBody(lineText, character)) {
+    return null;
+  }
+
+  const beforeCursor = lineText.slice(0, character);
+  const match = beforeCursor.match(/\[[^\][\s]*$/);
+  if (!match || match.index < beforeCursor.indexOf('=')) {
+    return null;
+  }
+
+  const afterCursor = lineText.slice(character).match(/^[^\][\s]*\]/);
+  return {
+    start: match.index,
+    end: character + (afterCursor ? afterCursor[0].length : 0),
+  };
+}
+
+/**
+ * Pick the fragments to offer as references on a line
+ *
+ * selfies-js resolves references to definitions further down the file, so every
+ * fragment is offered except the one defined on the line itself.
+ *
+ * @param {Map<string, Object>} definitions - Program definitions from selfies-js,
+ *   with 1-based `line` and `importedFrom` for imported ones
+ * @param {number} line - 0-based cursor line
+ * @returns {Array<{name: string, importedFrom: string|null}>}
+ */
+function selectFragmentNames(definitions, line) {
+  const names = [];
+  definitions.forEach((definition, name) => {
+    if (!definition.importedFrom && definition.line - 1 === line) {
+      return;
+    }
+    names.push({ name, importedFrom: definition.importedFrom || null });
+  });
+  return names;
+}
+
+export {
+  isInDefinitionBody,
+  findBracketContext,
+  selectFragmentNames,
+};
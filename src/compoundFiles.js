@@ -0,0 +1,250 @@
+/**
+ * Compound Files - Reads SDF, SMILES and CSV compound lists and writes them
+ * back out as .selfies or .smiles.js libraries
+ *
+ * Parsing is line based and tolerant: rows that cannot be read are returned as
+ * errors with their 1-based line number instead of stopping the import.
+ */
+
+const SMILES_COLUMN = /^(smiles|canonical_?smiles|isomeric_?smiles|smi)$/i;
+const NAME_COLUMN = /^(name|title|id|compound|compound_?id|compound_?name|identifier|mol_?name)$/i;
+const SDF_NAME_PROPERTY = /^(name|title|id|compound_?id|catalog_?id|idnumber)$/i;
+
+// Names that would read as a SELFIES atom, or that a JavaScript module cannot declare
+const ELEMENT_LIKE = /^[A-Z][a-z]?$/;
+const RESERVED_WORDS = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally',
+  'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let',
+  'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'super',
+  'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+  'Fragment', 'Ring', 'Linear', 'repeat', 'from',
+]);
+
+/**
+ * Pick the parser for a file from its name
+ * @param {string} fileName
+ * @returns {'sdf'|'smi'|'csv'|null}
+ */
+function detectFormat(fileName) {
+  const lower = fileName.toLowerCase();
+  if (/\.(sdf|sd|mol)$/.test(lower)) return 'sdf';
+  if (/\.(smi|smiles)$/.test(lower)) return 'smi';
+  if (/\.(csv|tsv)$/.test(lower)) return 'csv';
+  return null;
+}
+
+/**
+ * Split one delimited line, honouring double-quoted fields with "" escapes
+ */
+function splitDelimited(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseSmi(lines) {
+  const records = [];
+  lines.forEach((text, index) => {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const [smiles, ...rest] = trimmed.split(/\s+/);
+    // Header row, as written by some toolkits
+    if (index === 0 && SMILES_COLUMN.test(smiles)) return;
+    records.push({ name: rest.join(' '), smiles, line: index + 1 });
+  });
+  return { records, errors: [] };
+}
+
+function parseCsv(lines) {
+  const headerIndex = lines.findIndex((text) => text.trim() !== '');
+  if (headerIndex === -1) {
+    return { records: [], errors: [] };
+  }
+
+  const header = lines[headerIndex];
+  const delimiter = ['\t', ';', ',']
+    .reduce((best, candidate) => (header.split(candidate).length > header.split(best).length
+      ? candidate : best), ',');
+  const columns = splitDelimited(header, delimiter);
+  const smilesColumn = columns.findIndex((column) => SMILES_COLUMN.test(column));
+  if (smilesColumn === -1) {
+    return {
+      records: [],
+      errors: [{ line: headerIndex + 1, message: `No SMILES column in header: ${columns.join(', ')}` }],
+    };
+  }
+  const nameColumn = columns.findIndex((column) => NAME_COLUMN.test(column));
+
+  const records = [];
+  const errors = [];
+  lines.slice(headerIndex + 1).forEach((text, offset) => {
+    const line = headerIndex + offset + 2;
+    if (!text.trim()) return;
+    const fields = splitDelimited(text, delimiter);
+    const smiles = fields[smilesColumn];
+    if (!smiles) {
+      errors.push({ line, message: 'Row has no SMILES' });
+      return;
+    }
+    records.push({ name: nameColumn === -1 ? '' : fields[nameColumn] || '', smiles, line });
+  });
+  return { records, errors };
+}
+
+function parseSdf(lines) {
+  const records = [];
+  const errors = [];
+  let start = 0;
+
+  const finishRecord = (end) => {
+    const recordLines = lines.slice(start, end);
+    const line = start + 1;
+    start = end + 1;
+    if (recordLines.every((text) => text.trim() === '')) return;
+
+    const molEnd = recordLines.findIndex((text) => text.startsWith('M  END'));
+    if (molEnd === -1) {
+      errors.push({ line, message: 'Record has no MOL block (missing "M  END")' });
+      return;
+    }
+
+    const properties = {};
+    for (let i = molEnd + 1; i < recordLines.length; i += 1) {
+      const match = recordLines[i].match(/^>.*<([^>]+)>/);
+      if (match && i + 1 < recordLines.length) {
+        properties[match[1]] = recordLines[i + 1].trim();
+      }
+    }
+    const property = Object.keys(properties).find((key) => SDF_NAME_PROPERTY.test(key));
+
+    records.push({
+      name: recordLines[0].trim() || (property ? properties[property] : ''),
+      molBlock: `${recordLines.slice(0, molEnd + 1).join('\n')}\n`,
+      line,
+    });
+  };
+
+  lines.forEach((text, index) => {
+    if (text.trim() === '$$$$') {
+      finishRecord(index);
+    }
+  });
+  // A single MOL file, or an SD file missing its final delimiter
+  if (start < lines.length) {
+    finishRecord(lines.length);
+  }
+  return { records, errors };
+}
+
+/**
+ * Read the compounds of an SDF, SMILES or CSV file
+ * @param {string} text - File contents
+ * @param {'sdf'|'smi'|'csv'} format
+ * @returns {{records: Array<{name: string, smiles?: string, molBlock?: string, line: number}>,
+ *   errors: Array<{line: number, message: string}>}} Names may be empty; lines are 1-based
+ */
+function parseCompoundFile(text, format) {
+  const lines = text.split(/\r?\n/);
+  if (format === 'sdf') return parseSdf(lines);
+  if (format === 'csv') return parseCsv(lines);
+  return parseSmi(lines);
+}
+
+/**
+ * Turn a compound name into a fragment name valid in both DSLs
+ * @param {string} raw - Name from the compound file
+ * @param {Set<string>} used - Names already taken; the result is added to it
+ * @param {string} fallback - Name to use when raw has no usable characters
+ * @returns {string} An identifier, unique within used
+ */
+function sanitizeName(raw, used, fallback) {
+  let name = String(raw || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9_]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '');
+  if (!name) {
+    name = fallback;
+  }
+  if (/^[0-9]/.test(name) || ELEMENT_LIKE.test(name) || RESERVED_WORDS.has(name)) {
+    name = `mol_${name}`;
+  }
+
+  let unique = name;
+  let suffix = 2;
+  while (used.has(unique)) {
+    unique = `${name}_${suffix}`;
+    suffix += 1;
+  }
+  used.add(unique);
+  return unique;
+}
+
+/**
+ * Comment lines noting the original name where sanitizing changed it
+ */
+function originalNameComment(entry, prefix) {
+  return entry.originalName && entry.originalName !== entry.name
+    ? `${prefix} ${entry.originalName.replace(/[\r\n]+/g, ' ')}\n`
+    : '';
+}
+
+/**
+ * Write compounds as a .selfies library
+ * @param {Array<{name: string, originalName?: string, selfies: string}>} entries
+ * @param {string} source - File the compounds came from, for the header comment
+ * @returns {string}
+ */
+function formatSelfiesLibrary(entries, source) {
+  const body = entries
+    .map((entry) => `${originalNameComment(entry, '#')}[${entry.name}] = ${entry.selfies}\n`)
+    .join('');
+  return `# Imported from ${source}\n\n${body}`;
+}
+
+/**
+ * Write compounds as a .smiles.js module of exported Fragment constants
+ * @param {Array<{name: string, originalName?: string, smiles: string}>} entries
+ * @param {string} source - File the compounds came from, for the header comment
+ * @returns {string}
+ */
+function formatSmilesModule(entries, source) {
+  const quote = (smiles) => `'${smiles.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  const body = entries
+    .map((entry) => `${originalNameComment(entry, '//')}export const ${entry.name} = Fragment(${quote(entry.smiles)});\n`)
+    .join('');
+  return `// Imported from ${source}\n\nimport { Fragment } from 'smiles-js';\n\n${body}`;
+}
+
+export {
+  detectFormat,
+  parseCompoundFile,
+  sanitizeName,
+  formatSelfiesLibrary,
+  formatSmilesModule,
+};
@@ -0,0 +1,221 @@
+import * as vscode from 'vscode';
+import { loadWithImports } from 'selfies-js';
+import { describeDefinition } from './moleculeInfo';
+import { collectMolecules } from './moleculeCollector';
+import { evaluateSmilesModule } from './smilesEvaluator';
+import { parseSmilesModule } from './smilesDeclarations';
+import { encodeStructure } from './selfiesEncoding';
+import { sanitizeName } from './compoundFiles';
+import { extractUsedConstructors } from './refactorMolecule';
+import { selfiesToSmilesModule, smilesModuleToSelfies } from './dslConversion';
+
+const JS_IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Ask where to save the converted file and open it
+ */
+async function saveConverted(document, extension, content, filterName) {
+  const baseName = document.uri.path.split('/').pop().replace(/\.(selfies|smiles\.js)$/, '');
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.joinPath(document.uri, '..', `${baseName}${extension}`),
+    filters: { [filterName]: [extension.split('.').pop()] },
+  });
+  if (!target) {
+    return null;
+  }
+
+  await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf-8'));
+  await vscode.window.showTextDocument(target);
+  return target;
+}
+
+/**
+ * Generate constructor code for the converted molecules by evaluating them
+ * with smiles-js from the target folder
+ *
+ * Code is only used when it declares the molecule's binding and none of its
+ * helper bindings clash with other names in the module.
+ *
+ * @returns {Promise<Map<string, string>>} Exported constructor code by identifier
+ */
+async function generateConstructorCode(targetPath, smilesByIdentifier, takenNames) {
+  const identifiers = Array.from(smilesByIdentifier.keys());
+  const source = [
+    "import { Fragment } from 'smiles-js';",
+    ...identifiers.map((identifier) => `export const ${identifier} = Fragment(${JSON.stringify(smilesByIdentifier.get(identifier))});`),
+  ].join('\n');
+
+  const config = vscode.workspace.getConfiguration('selfies');
+  const { fragments } = await evaluateSmilesModule(targetPath, {
+    source,
+    codeFor: identifiers,
+    timeoutMs: config.get('evaluation.timeout', 5000),
+    memoryLimitMb: config.get('evaluation.memoryLimitMb', 256),
+  });
+
+  const codeByIdentifier = new Map();
+  if (!fragments) {
+    return codeByIdentifier;
+  }
+
+  const taken = new Set(takenNames);
+  identifiers.forEach((identifier) => {
+    const fragment = fragments[identifier];
+    if (!fragment || !fragment.code || fragment.codeError) return;
+
+    const { declarations, error } = parseSmilesModule(fragment.code);
+    const own = declarations.find((declaration) => declaration.name === identifier);
+    const helpers = declarations.filter((declaration) => declaration.name !== identifier);
+    if (error || !own || helpers.some((declaration) => taken.has(declaration.name))) return;
+
+    helpers.forEach((declaration) => taken.add(declaration.name));
+    const code = own.exportName
+      ? fragment.code
+      : `${fragment.code.slice(0, own.rangeStart)}export ${fragment.code.slice(own.rangeStart)}`;
+    codeByIdentifier.set(identifier, code);
+  });
+  return codeByIdentifier;
+}
+
+/**
+ * Convert a .selfies document into a .smiles.js module
+ */
+async function convertSelfiesDocument(document) {
+  let program;
+  try {
+    program = loadWithImports(document.getText(), document.uri.fsPath);
+  } catch (err) {
+    vscode.window.showErrorMessage(`Failed to convert: ${err.message}`);
+    return;
+  }
+
+  const definitions = Array.from(program.definitions.values());
+  const local = definitions.filter((definition) => !definition.importedFrom);
+
+  // Definition names that are not JavaScript identifiers get a sanitized binding
+  const used = new Set(definitions
+    .map((definition) => definition.name)
+    .filter((name) => JS_IDENTIFIER.test(name)));
+  const identifiers = new Map();
+  definitions
+    .filter((definition) => !JS_IDENTIFIER.test(definition.name))
+    .forEach((definition) => {
+      identifiers.set(definition.name, sanitizeName(definition.name, used, 'fragment'));
+    });
+  const identifierFor = (name) => identifiers.get(name) || name;
+
+  const importedNames = new Map();
+  definitions
+    .filter((definition) => definition.importedFrom)
+    .forEach((definition) => {
+      const names = importedNames.get(definition.importedFrom) || [];
+      names.push(definition.name);
+      importedNames.set(definition.importedFrom, names);
+    });
+
+  const molecules = new Map(local.map((definition) => [
+    definition.name,
+    describeDefinition(program, definition.name),
+  ]));
+
+  const baseName = document.uri.path.split('/').pop().replace(/\.selfies$/, '');
+  const targetPath = vscode.Uri.joinPath(document.uri, '..', `${baseName}.smiles.js`).fsPath;
+  const smilesByIdentifier = new Map(Array.from(molecules)
+    .filter(([, molecule]) => molecule.smiles && !molecule.error)
+    .map(([name, molecule]) => [identifierFor(name), molecule.smiles]));
+  const codeByIdentifier = await generateConstructorCode(
+    targetPath,
+    smilesByIdentifier,
+    [...used, ...identifiers.values()],
+  );
+
+  molecules.forEach((molecule, name) => {
+    const code = codeByIdentifier.get(identifierFor(name));
+    if (code) {
+      molecules.set(name, { ...molecule, code });
+    }
+  });
+
+  const codes = Array.from(codeByIdentifier.values());
+  const usesFragment = codes.length < smilesByIdentifier.size
+    || codes.some((code) => code.includes('Fragment('));
+  const constructors = [
+    ...(usesFragment ? ['Fragment'] : []),
+    ...extractUsedConstructors(codes.join('\n')),
+  ];
+
+  const content = selfiesToSmilesModule(document.getText(), {
+    molecules,
+    importedNames,
+    identifiers,
+    constructors,
+  });
+  const target = await saveConverted(document, '.smiles.js', content, 'smiles-js Files');
+  if (target) {
+    const failed = Array.from(molecules.values()).filter((molecule) => !molecule.smiles).length;
+    vscode.window.showInformationMessage(
+      `Converted ${molecules.size - failed} definition(s), ${codes.length} as constructor code`
+        + `${failed > 0 ? `; ${failed} could not be resolved and were left as comments` : ''}`,
+    );
+  }
+}
+
+/**
+ * Convert a .smiles.js document into a .selfies file
+ */
+async function convertSmilesJsDocument(document) {
+  const text = document.getText();
+  const { declarations, error: syntaxError } = parseSmilesModule(text);
+  if (syntaxError) {
+    vscode.window.showErrorMessage(`Line ${syntaxError.line + 1}: ${syntaxError.message}`);
+    return;
+  }
+
+  const { molecules: collected, error } = await collectMolecules(document);
+  if (error) {
+    vscode.window.showErrorMessage(`Failed to convert: ${error}`);
+    return;
+  }
+
+  // One molecule at a time, each is checked through RDKit
+  const molecules = new Map();
+  await collected.reduce(async (previous, molecule) => {
+    await previous;
+    try {
+      const { selfies } = await encodeStructure({ smiles: molecule.smiles });
+      molecules.set(molecule.name, { selfies });
+    } catch (err) {
+      molecules.set(molecule.name, { error: err.message });
+    }
+  }, Promise.resolve());
+
+  const content = smilesModuleToSelfies(text, declarations, molecules);
+  const target = await saveConverted(document, '.selfies', content, 'SELFIES Files');
+  if (target) {
+    const failed = Array.from(molecules.values()).filter((molecule) => molecule.error).length;
+    vscode.window.showInformationMessage(
+      `Converted ${molecules.size - failed} molecule(s)`
+        + `${failed > 0 ? `; ${failed} could not be encoded and were left as comments` : ''}`,
+    );
+  }
+}
+
+/**
+ * Convert the active .selfies file to a .smiles.js module, or the other way round
+ */
+export async function convertDocument() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    vscode.window.showErrorMessage('No active editor');
+    return;
+  }
+
+  const { document } = editor;
+  if (document.fileName.endsWith('.smiles.js')) {
+    await convertSmilesJsDocument(document);
+  } else if (document.languageId === 'selfies') {
+    await convertSelfiesDocument(document);
+  } else {
+    vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file first');
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Molecular Descriptors - Drug-likeness properties shown in the preview
+ *
+ * Values come from RDKit's descriptor set; the rule-of-five verdicts are
+ * derived from them here.
+ */
+
+import { getDescriptors, getFormalCharge } from './rdkitRenderer';
+
+/**
+ * Count how many of a rule's limits a molecule exceeds
+ * @returns {string[]} Descriptions of the limits that are exceeded
+ */
+function violations(values, limits) {
+  return limits
+    .filter(([key, , max]) => values[key] > max)
+    .map(([, label, max]) => `${label} > ${max}`);
+}
+
+/**
+ * Lipinski's rule of five: at most one violation is tolerated
+ */
+function lipinskiVerdict(values) {
+  const failed = violations(values, [
+    ['amw', 'MW', 500],
+    ['CrippenClogP', 'logP', 5],
+    ['lipinskiHBD', 'HBD', 5],
+    ['lipinskiHBA', 'HBA', 10],
+  ]);
+  return { pass: failed.length <= 1, failed };
+}
+
+/**
+ * Veber's rules for oral bioavailability: no violations tolerated
+ */
+function veberVerdict(values) {
+  const failed = violations(values, [
+    ['NumRotatableBonds', 'rotatable bonds', 10],
+    ['tpsa', 'TPSA', 140],
+  ]);
+  return { pass: failed.length === 0, failed };
+}
+
+function formatVerdict({ pass, failed }) {
+  const verdict = pass ? 'Pass' : 'Fail';
+  return failed.length === 0 ? verdict : `${verdict} (${failed.join(', ')})`;
+}
+
+/**
+ * Descriptors that can be shown, in display order; ids are the values of the
+ * selfies.descriptors setting
+ */
+const DESCRIPTORS = [
+  { id: 'logP', label: 'logP (Crippen)', format: (v) => v.CrippenClogP.toFixed(2) },
+  { id: 'tpsa', label: 'TPSA', format: (v) => `${v.tpsa.toFixed(2)} Å²` },
+  { id: 'hbd', label: 'H-Bond Donors', format: (v) => String(v.NumHBD) },
+  { id: 'hba', label: 'H-Bond Acceptors', format: (v) => String(v.NumHBA) },
+  { id: 'rotatableBonds', label: 'Rotatable Bonds', format: (v) => String(v.NumRotatableBonds) },
+  { id: 'rings', label: 'Rings', format: (v) => String(v.NumRings) },
+  { id: 'aromaticRings', label: 'Aromatic Rings', format: (v) => String(v.NumAromaticRings) },
+  { id: 'heavyAtoms', label: 'Heavy Atoms', format: (v) => String(v.NumHeavyAtoms) },
+  { id: 'fractionCSP3', label: 'Fraction sp³', format: (v) => v.FractionCSP3.toFixed(2) },
+  {
+    id: 'formalCharge',
+    label: 'Formal Charge',
+    format: (v) => (v.formalCharge > 0 ? `+${v.formalCharge}` : String(v.formalCharge)),
+  },
+  { id: 'lipinski', label: 'Lipinski Rule of Five', format: (v) => formatVerdict(lipinskiVerdict(v)) },
+  { id: 'veber', label: 'Veber Rules', format: (v) => formatVerdict(veberVerdict(v)) },
+];
+
+const DESCRIPTOR_IDS = DESCRIPTORS.map((descriptor) => descriptor.id);
+
+/**
+ * Format descriptor values for display
+ * @param {Object} values - RDKit descriptors plus formalCharge
+ * @param {string[]} [ids] - Descriptors to include, in any order
+ * @returns {Array<{id: string, label: string, value: string}>} In display order
+ */
+function formatDescriptors(values, ids = DESCRIPTOR_IDS) {
+  return DESCRIPTORS
+    .filter((descriptor) => ids.includes(descriptor.id))
+    .map(({ id, label, format }) => ({ id, label, value: format(values) }));
+}
+
+/**
+ * Compute the selected descriptors of a molecule
+ * @param {string} smiles - SMILES string
+ * @param {string[]} [ids] - Descriptors to include
+ * @returns {Promise<Array<{id: string, label: string, value: string}>>}
+ */
+async function computeDescriptors(smiles, ids = DESCRIPTOR_IDS) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const [descriptors, formalCharge] = await Promise.all([
+    getDescriptors(smiles),
+    getFormalCharge(smiles),
+  ]);
+  return formatDescriptors({ ...descriptors, formalCharge }, ids);
+}
+
+export {
+  DESCRIPTOR_IDS,
+  formatDescriptors,
+  computeDescriptors,
+};
@@ -0,0 +1,119 @@
+/**
+ * Diagnostic Fixes - Finds fixable problems in .selfies source and builds the
+ * edits that fix them
+ *
+ * Used by the diagnostics provider for undefined references and by its quick
+ * fixes.
+ * Edits use 0-based positions: { start: {line, character}, end: {line, character}, text }.
+ */
+
+import { scanFragments } from './fragmentScanner';
+import { classifyToken } from './semanticScanner';
+
+/**
+ * Levenshtein distance between two names
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Known names close to a misspelt one, closest first
+ * @param {string} name - Unknown name
+ * @param {Iterable<string>} candidates - Known names
+ * @param {number} [limit=3]
+ * @returns {string[]}
+ */
+function suggestNames(name, candidates, limit = 3) {
+  const maxDistance = Math.max(1, Math.floor(name.length / 3));
+  return Array.from(new Set(candidates))
+    .map((candidate) => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(({ distance }) => distance > 0 && distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Find body tokens that are neither known fragments nor SELFIES tokens
+ * @param {string} text - .selfies source
+ * @param {{local: Set<string>, imported: Set<string>}} names - Known fragment names
+ * @returns {{name: string, line: number, start: number, end: number}[]}
+ */
+function findUndefinedReferences(text, names) {
+  const known = { ...names, complete: true };
+  return scanFragments(text).tokens
+    .filter((token) => {
+      const classification = classifyToken(token.name, known);
+      return classification && classification.modifiers.includes('unresolved');
+    })
+    .map(({
+      name, line, start, end,
+    }) => ({
+      name, line, start, end,
+    }));
+}
+
+/**
+ * Edit importing a name, added to an existing `import [...]` list of the same
+ * file or as a new statement after the last import
+ * @param {string} text - .selfies source
+ * @param {string} name - Fragment to import
+ * @param {string} importPath - Path as it should be written
+ * @returns {Object} Edit
+ */
+function addImportEdit(text, name, importPath) {
+  const { imports } = scanFragments(text);
+  const existing = imports.find((entry) => entry.path === importPath && entry.names !== '*');
+  if (existing && existing.names.length > 0) {
+    const last = existing.names[existing.names.length - 1];
+    return {
+      start: { line: last.line, character: last.end },
+      end: { line: last.line, character: last.end },
+      text: `, ${name}`,
+    };
+  }
+
+  const line = imports.length > 0 ? imports[imports.length - 1].line + 1 : 0;
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  return {
+    start: { line, character: 0 },
+    end: { line, character: 0 },
+    text: `import [${name}] from "${importPath}"${eol}`,
+  };
+}
+
+/**
+ * First name of the form `name_2`, `name_3`, ... that is not taken
+ * @param {string} name
+ * @param {Iterable<string>} taken
+ * @returns {string}
+ */
+function uniqueName(name, taken) {
+  const used = new Set(taken);
+  let suffix = 2;
+  while (used.has(`${name}_${suffix}`)) {
+    suffix += 1;
+  }
+  return `${name}_${suffix}`;
+}
+
+export {
+  editDistance,
+  suggestNames,
+  findUndefinedReferences,
+  addImportEdit,
+  uniqueName,
+};
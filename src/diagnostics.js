@@ -1,5 +1,16 @@
 import * as vscode from 'vscode';
 import { loadWithImports } from 'selfies-js';
+import { parseSmilesModule } from './smilesDeclarations';
+import { scanFragments, relativeImportPath, locateImportError } from './fragmentScanner';
+import { readText } from './navigation';
+import {
+  suggestNames,
+  findUndefinedReferences,
+  addImportEdit,
+  uniqueName,
+} from './diagnosticFixes';
+
+const DUPLICATE_DEFINITION = /^Duplicate definition of '(.+)'$/;
 
 /**
  * Validate JavaScript imports in .smiles.js files
@@ -118,6 +129,129 @@ function getSeverity(type) {
   }
 }
 
+/**
+ * Diagnostics the selfies-js parser does not report: references to unknown
+ * fragments. Unused fragments and imports are left to the usage diagnostics,
+ * which look at the files importing this one.
+ * @param {string} text - File content
+ * @param {Object} result - Program from loadWithImports
+ * @returns {vscode.Diagnostic[]}
+ */
+function validateReferences(text, result) {
+  const local = new Set();
+  const imported = new Set();
+  result.definitions.forEach((definition, name) => {
+    (definition.importedFrom ? imported : local).add(name);
+  });
+
+  // Names from an import that failed to load are unknown, not undefined
+  const importFailed = (result.errors || [])
+    .some((error) => /Import file not found|Failed to/i.test(error.message));
+  if (importFailed) {
+    return [];
+  }
+
+  return findUndefinedReferences(text, { local, imported }).map((reference) => {
+    const diagnostic = new vscode.Diagnostic(
+      new vscode.Range(reference.line, reference.start, reference.line, reference.end),
+      `Unknown token [${reference.name}]: not a defined fragment or SELFIES token`,
+      vscode.DiagnosticSeverity.Warning,
+    );
+    diagnostic.source = 'selfies';
+    diagnostic.code = 'undefined-reference';
+    return diagnostic;
+  });
+}
+
+function toLineRange({ line, start, end }) {
+  return new vscode.Range(line, start, line, end);
+}
+
+function toRange(edit) {
+  return new vscode.Range(
+    edit.start.line,
+    edit.start.character,
+    edit.end.line,
+    edit.end.character,
+  );
+}
+
+/**
+ * Import paths, relative to the document, of workspace files defining a fragment
+ */
+async function findDefiningFiles(document, name) {
+  const uris = await vscode.workspace.findFiles('**/*.selfies', '**/node_modules/**');
+  const paths = await Promise.all(uris
+    .filter((uri) => uri.toString() !== document.uri.toString())
+    .map(async (uri) => {
+      const text = await readText(uri);
+      if (text === null || !scanFragments(text).definitions.some((d) => d.name === name)) {
+        return null;
+      }
+      return relativeImportPath(uri.fsPath, document.uri.fsPath);
+    }));
+  return paths.filter(Boolean).sort();
+}
+
+/**
+ * Quick fixes for one diagnostic of a .selfies document
+ * @returns {Promise<vscode.CodeAction[]>}
+ */
+async function createQuickFixes(document, diagnostic) {
+  const text = document.getText();
+  const fix = (title, range, newText, isPreferred = false) => {
+    const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.replace(document.uri, range, newText);
+    action.diagnostics = [diagnostic];
+    action.isPreferred = isPreferred;
+    return action;
+  };
+
+  if (diagnostic.code === 'undefined-reference') {
+    const name = document.getText(diagnostic.range).slice(1, -1);
+    let known = scanFragments(text).definitions.map((definition) => definition.name);
+    try {
+      known = Array.from(loadWithImports(text, document.uri.fsPath).definitions.keys());
+    } catch (err) {
+      // Only the names defined in this file are suggested
+    }
+
+    const suggestions = suggestNames(name, known)
+      .map((suggestion, index) => fix(
+        `Did you mean [${suggestion}]?`,
+        diagnostic.range,
+        `[${suggestion}]`,
+        index === 0,
+      ));
+    const imports = (await findDefiningFiles(document, name))
+      .slice(0, 3)
+      .map((importPath) => {
+        const edit = addImportEdit(text, name, importPath);
+        return fix(`Import [${name}] from ${importPath}`, toRange(edit), edit.text);
+      });
+    return [...suggestions, ...imports];
+  }
+
+  if (diagnostic.code === 'duplicate-definition') {
+    const match = diagnostic.message.match(DUPLICATE_DEFINITION);
+    const { definitions } = scanFragments(text);
+    const definition = match && definitions
+      .find((candidate) => candidate.line === diagnostic.range.start.line);
+    if (!definition) {
+      return [];
+    }
+    const newName = uniqueName(definition.name, definitions.map((candidate) => candidate.name));
+    return [fix(
+      `Rename duplicate definition to [${newName}]`,
+      new vscode.Range(definition.line, definition.start + 1, definition.line, definition.end - 1),
+      newName,
+    )];
+  }
+
+  return [];
+}
+
 /**
  * Create a diagnostics provider for SELFIES files
  * @returns {vscode.Disposable}
@@ -148,6 +282,20 @@ function createDiagnosticsProvider() {
         if (importErrors.length > 0) {
           diagnostics.push(...importErrors);
         }
+
+        // Syntax errors would otherwise only surface when the preview evaluates the file
+        const { error: syntaxError } = parseSmilesModule(text);
+        if (syntaxError) {
+          const position = document.positionAt(syntaxError.offset);
+          const diagnostic = new vscode.Diagnostic(
+            new vscode.Range(position, position.translate(0, 1)),
+            syntaxError.message,
+            vscode.DiagnosticSeverity.Error,
+          );
+          diagnostic.source = 'smiles-js';
+          diagnostic.code = 'syntax-error';
+          diagnostics.push(diagnostic);
+        }
       } catch (err) {
         // Add a generic error if we can't validate
         const diagnostic = new vscode.Diagnostic(
@@ -175,10 +323,14 @@ function createDiagnosticsProvider() {
           const column = error.column !== undefined ? error.column - 1 : 0;
           const endColumn = error.endColumn !== undefined ? error.endColumn - 1 : column + 1;
 
-          const range = new vscode.Range(
-            new vscode.Position(line, column),
-            new vscode.Position(line, endColumn),
-          );
+          // Import errors are all reported at the start of the file
+          const importError = locateImportError(text, error.message);
+          const range = importError
+            ? toLineRange(importError)
+            : new vscode.Range(
+              new vscode.Position(line, column),
+              new vscode.Position(line, endColumn),
+            );
 
           const severity = getSeverity(error.type || error.severity);
 
@@ -193,12 +345,18 @@ function createDiagnosticsProvider() {
           // Add error code if available
           if (error.code) {
             diagnostic.code = error.code;
+          } else if (importError) {
+            diagnostic.code = importError.code;
+          } else if (DUPLICATE_DEFINITION.test(error.message)) {
+            diagnostic.code = 'duplicate-definition';
           }
 
           diagnostics.push(diagnostic);
         });
       }
 
+      diagnostics.push(...validateReferences(text, result));
+
       // Add warnings for chemical validity issues
       if (result.warnings && result.warnings.length > 0) {
         result.warnings.forEach((warning) => {
@@ -224,12 +382,18 @@ function createDiagnosticsProvider() {
       }
     } catch (err) {
       // If parsing fails completely, show a general error
+      const importError = locateImportError(text, err.message);
       const diagnostic = new vscode.Diagnostic(
-        new vscode.Range(0, 0, 0, 1),
-        `Failed to parse SELFIES file: ${err.message}`,
+        importError
+          ? toLineRange(importError)
+          : new vscode.Range(0, 0, 0, 1),
+        importError ? err.message : `Failed to parse SELFIES file: ${err.message}`,
         vscode.DiagnosticSeverity.Error,
       );
       diagnostic.source = 'selfies';
+      if (importError) {
+        diagnostic.code = importError.code;
+      }
       diagnostics.push(diagnostic);
     }
 
@@ -254,12 +418,27 @@ function createDiagnosticsProvider() {
   // Update all currently open documents
   vscode.workspace.textDocuments.forEach(updateDiagnostics);
 
+  // Register code action provider for quick fixes
+  const codeActionProvider = vscode.languages.registerCodeActionsProvider(
+    { language: 'selfies' },
+    {
+      async provideCodeActions(document, range, context) {
+        const fixes = await Promise.all(context.diagnostics
+          .filter((diagnostic) => diagnostic.source === 'selfies')
+          .map((diagnostic) => createQuickFixes(document, diagnostic)));
+        return fixes.flat();
+      },
+    },
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] },
+  );
+
   return {
     dispose: () => {
       diagnosticCollection.dispose();
       documentChangeListener.dispose();
       documentOpenListener.dispose();
       documentCloseListener.dispose();
+      codeActionProvider.dispose();
     },
   };
 }
@@ -0,0 +1,226 @@
+/**
+ * DSL Conversion - Translates fragment libraries between .selfies and .smiles.js
+ *
+ * Conversion works line by line so that comments, blank lines and definition
+ * order carry over. Definitions are written fully resolved: a .selfies
+ * definition that references other fragments becomes one Fragment of the
+ * resolved molecule, and a .smiles.js binding becomes one SELFIES definition.
+ * Lines with no equivalent in the target language are kept as comments.
+ *
+ * Molecules are resolved or evaluated by the caller and passed in by name.
+ */
+
+const SELFIES_DEFINITION = /^\s*\[([^\]]+)\]\s*=/;
+const SELFIES_IMPORT_NAMES = /^\s*import\s+\[([^\]]+)\]\s+from\s+['"]([^'"]+)['"]/;
+const SELFIES_IMPORT_ALL = /^\s*import\s+(?:\*\s+from\s+)?['"]([^'"]+)['"]/;
+const JS_LINE_COMMENT = /^\s*\/\/\s?(.*)$/;
+const JS_TRAILING_COMMENT = /[;)]\s*\/\/\s?(.*)$/;
+
+/**
+ * Find where a # comment starts on a .selfies line, ignoring # inside tokens
+ */
+function selfiesCommentStart(line) {
+  let depth = 0;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '[') depth += 1;
+    else if (line[i] === ']') depth = Math.max(0, depth - 1);
+    else if (line[i] === '#' && depth === 0) return i;
+  }
+  return -1;
+}
+
+function quoteJs(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function toSmilesJsPath(path) {
+  return path.replace(/\.selfies$/, '.smiles.js');
+}
+
+function toSelfiesPath(path) {
+  return path.replace(/\.smiles\.js$/, '.selfies').replace(/\.js$/, '.selfies');
+}
+
+/**
+ * Translate a .selfies file into a .smiles.js module
+ * @param {string} text - .selfies source
+ * @param {Object} options
+ * @param {Map<string, {smiles?: string, code?: string, error?: string}>} options.molecules -
+ *   Resolved definitions by name; code, when given, is constructor code that
+ *   declares the exported binding and replaces the Fragment call
+ * @param {Map<string, string[]>} [options.importedNames] - Names each
+ *   `import "path"` brings in, by the path as written
+ * @param {Map<string, string>} [options.identifiers] - JavaScript name for each
+ *   definition whose name is not a valid identifier
+ * @param {string[]} [options.constructors] - smiles-js constructors to import
+ * @returns {string}
+ */
+function selfiesToSmilesModule(text, options) {
+  const {
+    molecules,
+    importedNames = new Map(),
+    identifiers = new Map(),
+    constructors = ['Fragment'],
+  } = options;
+  const identifierFor = (name) => identifiers.get(name) || name;
+  const output = [];
+  let headerDone = false;
+
+  const finishHeader = () => {
+    if (!headerDone) {
+      headerDone = true;
+      output.push(`import { ${constructors.join(', ')} } from 'smiles-js';`);
+      output.push('');
+    }
+  };
+
+  text.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    const commentStart = selfiesCommentStart(line);
+    const comment = commentStart === -1 ? null : line.slice(commentStart + 1).replace(/^ /, '');
+    const code = (commentStart === -1 ? line : line.slice(0, commentStart)).trim();
+
+    if (!trimmed) {
+      output.push('');
+      return;
+    }
+    if (!code) {
+      output.push(`// ${comment}`.trimEnd());
+      return;
+    }
+
+    finishHeader();
+    const trailing = comment !== null ? ` // ${comment}`.trimEnd() : '';
+
+    const namedImport = code.match(SELFIES_IMPORT_NAMES);
+    const allImport = !namedImport && code.match(SELFIES_IMPORT_ALL);
+    if (namedImport || allImport) {
+      const path = namedImport ? namedImport[2] : allImport[1];
+      const names = namedImport
+        ? namedImport[1].split(',').map((name) => name.trim()).filter(Boolean)
+        : importedNames.get(path) || [];
+      const bindings = names.map(identifierFor).join(', ');
+      output.push(`import { ${bindings} } from ${quoteJs(toSmilesJsPath(path))};${trailing}`);
+      return;
+    }
+
+    const definition = code.match(SELFIES_DEFINITION);
+    const molecule = definition && molecules.get(definition[1]);
+    if (!molecule || molecule.error || (!molecule.code && !molecule.smiles)) {
+      const reason = molecule && molecule.error ? ` (${molecule.error})` : '';
+      output.push(`// Not converted${reason}: ${code}${trailing}`);
+      return;
+    }
+
+    if (identifiers.has(definition[1])) {
+      output.push(`// [${definition[1]}]`);
+    }
+    if (molecule.code) {
+      output.push(`${molecule.code.trimEnd()}${trailing}`);
+    } else {
+      output.push(`export const ${identifierFor(definition[1])} = Fragment(${quoteJs(molecule.smiles)});${trailing}`);
+    }
+  });
+
+  finishHeader();
+  return output.join('\n').replace(/\n*$/, '\n');
+}
+
+/**
+ * Rewrite a smiles-js import line as a .selfies import, or null if it has no equivalent
+ */
+function convertJsImport(code) {
+  const match = code.match(/^import\s*\{([^}]*)\}\s*from\s*['"]([^'"]+)['"]/);
+  if (!match || match[2] === 'smiles-js') {
+    return null;
+  }
+  // Aliases cannot be expressed in .selfies; the imported name is kept
+  const names = match[1].split(',')
+    .map((specifier) => specifier.trim().split(/\s+as\s+/)[0])
+    .filter(Boolean);
+  return `import [${names.join(', ')}] from "${toSelfiesPath(match[2])}"`;
+}
+
+/**
+ * Translate a .smiles.js module into a .selfies file
+ * @param {string} text - .smiles.js source
+ * @param {Object[]} declarations - From parseSmilesModule(text)
+ * @param {Map<string, {selfies?: string, error?: string}>} molecules - Encoded
+ *   molecules by binding name (the exported name when exported)
+ * @returns {string}
+ */
+function smilesModuleToSelfies(text, declarations, molecules) {
+  const lines = text.split(/\r?\n/);
+  const output = [];
+
+  // Each statement is emitted once, at its first line
+  const byLine = new Map();
+  declarations.forEach((declaration) => {
+    const first = text.slice(0, declaration.rangeStart).split('\n').length - 1;
+    if (!byLine.has(first)) {
+      byLine.set(first, { first, last: declaration.endLine, declarations: [] });
+    }
+    const statement = byLine.get(first);
+    statement.last = Math.max(statement.last, declaration.endLine);
+    statement.declarations.push(declaration);
+  });
+
+  let inBlockComment = false;
+  let skipUntil = -1;
+  lines.forEach((line, index) => {
+    if (index <= skipUntil) return;
+    const trimmed = line.trim();
+
+    if (inBlockComment || trimmed.startsWith('/*')) {
+      inBlockComment = !trimmed.includes('*/');
+      const content = trimmed.replace(/^\/\*+|\*+\/$/g, '').replace(/^\*+\s?/, '').trim();
+      if (content) output.push(`# ${content}`);
+      return;
+    }
+    if (!trimmed) {
+      output.push('');
+      return;
+    }
+    const lineComment = trimmed.match(JS_LINE_COMMENT);
+    if (lineComment) {
+      output.push(`# ${lineComment[1]}`.trimEnd());
+      return;
+    }
+
+    const statement = byLine.get(index);
+    if (statement) {
+      skipUntil = statement.last;
+      const trailing = lines[statement.last].match(JS_TRAILING_COMMENT);
+      const comment = trailing ? `  # ${trailing[1]}`.trimEnd() : '';
+      statement.declarations.forEach((declaration) => {
+        const name = declaration.exportName || declaration.name;
+        const molecule = molecules.get(name);
+        if (molecule && molecule.selfies) {
+          output.push(`[${name}] = ${molecule.selfies}${comment}`);
+        } else {
+          const reason = molecule && molecule.error ? molecule.error : 'not a molecule';
+          output.push(`# Not converted (${reason}): ${name}`);
+        }
+      });
+      return;
+    }
+
+    if (trimmed.startsWith('import')) {
+      const converted = convertJsImport(trimmed);
+      if (converted) output.push(converted);
+      return;
+    }
+
+    // Export lists and other code have no .selfies equivalent
+    if (!/^export\s*\{[^}]*\}\s*;?$/.test(trimmed)) {
+      output.push(`# ${line}`);
+    }
+  });
+
+  return output.join('\n').replace(/^\n+/, '').replace(/\n*$/, '\n');
+}
+
+export {
+  selfiesToSmilesModule,
+  smilesModuleToSelfies,
+};
@@ -1,21 +1,43 @@
 import * as vscode from 'vscode';
 import { createDiagnosticsProvider } from './diagnostics';
 import { createRoundTripDiagnosticsProvider } from './roundtripDiagnostics';
+import { createUsageDiagnosticsProvider } from './usageDiagnostics';
+import { createCompletionProvider } from './completion';
+import { createNavigationProviders } from './navigation';
+import { createImportProviders } from './imports';
+import { createHoverProvider } from './hover';
+import { createSymbolProviders } from './symbols';
+import { createInlayHintsProvider } from './inlayHints';
+import { createCodeLensProvider } from './codeLens';
+import { createSemanticTokensProvider } from './semanticTokens';
+import { createFormattingProvider } from './formatting';
 import { LineTracker } from './lineTracker';
 import { PreviewPanel } from './webview/panel';
+import { MoleculeGridPanel } from './webview/gridPanel';
+import { ComparePanel } from './webview/comparePanel';
 import { initRDKit } from './rdkitRenderer';
 import { refactorMolecule } from './refactorMolecule';
+import {
+  extractSelectionToFragment,
+  inlineFragmentAtCursor,
+  createFragmentRefactorProvider,
+} from './refactorFragment';
+import { pickMoleculePair } from './compareMolecules';
+import { exportMolecule, exportAllMolecules, copyMoleculeString } from './moleculeExport';
+import { findMolecule } from './moleculeCollector';
+import { importCompounds } from './importCompounds';
+import { convertDocument } from './convertDsl';
+import {
+  convertSelectionToSelfies,
+  convertSelectionToSmiles,
+  createPasteProvider,
+} from './inlineConversion';
 
 /**
  * Activate the SELFIES extension
  * @param {vscode.ExtensionContext} context
  */
 export function activate(context) {
-  // Initialize RDKit asynchronously
-  initRDKit().catch(() => {
-    vscode.window.showWarningMessage('SELFIES: RDKit initialization failed, using fallback renderer');
-  });
-
   // Create diagnostics provider
   const diagnosticsProvider = createDiagnosticsProvider();
   context.subscriptions.push(diagnosticsProvider);
@@ -24,27 +46,122 @@ export function activate(context) {
   const roundTripDiagnosticsProvider = createRoundTripDiagnosticsProvider();
   context.subscriptions.push(roundTripDiagnosticsProvider);
 
-  // Create line tracker for cursor position
-  const lineTracker = new LineTracker();
-  context.subscriptions.push(lineTracker);
+  // Create diagnostics for fragments and imports nothing uses, across files
+  const usageDiagnosticsProvider = createUsageDiagnosticsProvider();
+  context.subscriptions.push(usageDiagnosticsProvider);
+
+  // Create completion provider for fragment names and SELFIES tokens
+  const completionProvider = createCompletionProvider();
+  context.subscriptions.push(completionProvider);
+
+  // Create definition, reference and rename providers for fragments
+  const navigationProviders = createNavigationProviders();
+  context.subscriptions.push(navigationProviders);
+
+  // Create path and name completion and links for import statements
+  const importProviders = createImportProviders();
+  context.subscriptions.push(importProviders);
+
+  // Create hover provider showing the resolved molecule for fragment references
+  const hoverProvider = createHoverProvider();
+  context.subscriptions.push(hoverProvider);
+
+  // Create outline and workspace symbol providers for molecule definitions
+  const symbolProviders = createSymbolProviders();
+  context.subscriptions.push(symbolProviders);
+
+  // Create semantic tokens provider telling fragments apart from atoms
+  const semanticTokensProvider = createSemanticTokensProvider();
+  context.subscriptions.push(semanticTokensProvider);
+
+  // Create document and range formatters
+  const formattingProvider = createFormattingProvider();
+  context.subscriptions.push(formattingProvider);
+
+  // Create code actions for extracting and inlining fragments
+  const fragmentRefactorProvider = createFragmentRefactorProvider();
+  context.subscriptions.push(fragmentRefactorProvider);
+
+  // Create inlay hint provider showing formula and weight after each definition
+  const inlayHintsProvider = createInlayHintsProvider();
+  context.subscriptions.push(inlayHintsProvider);
+
+  // Create CodeLens provider with per-molecule actions above each definition
+  const codeLensProvider = createCodeLensProvider();
+  context.subscriptions.push(codeLensProvider);
+
+  // Create paste provider offering pasted SMILES as SELFIES tokens
+  const pasteProvider = createPasteProvider();
+  context.subscriptions.push(pasteProvider);
 
   // Create preview panel manager
   let previewPanel = null;
 
-  // Helper function to check if file is supported
+  // Molecule under the cursor, for commands that act on it
+  let currentLineInfo = null;
+
+  // Helper functions to check if file is supported
   const isSupportedFile = (editor) => {
     if (!editor) return false;
     return editor.document.languageId === 'selfies'
                || editor.document.fileName.endsWith('.smiles.js');
   };
+  const canPreview = (editor) => isSupportedFile(editor)
+    || (!!editor && vscode.workspace.getConfiguration('selfies').get('previewAnyFile', false));
+
+  // The extension also activates at startup so selfies.previewAnyFile works
+  // without a molecule file open; the line tracker, and RDKit with it, only
+  // start once an editor can be previewed
+  let lineTracker = null;
+  const startLineTracker = () => {
+    if (lineTracker) {
+      return lineTracker;
+    }
+
+    // Initialize RDKit asynchronously
+    initRDKit().catch(() => {
+      vscode.window.showWarningMessage('SELFIES: RDKit initialization failed, using fallback renderer');
+    });
+
+    // Create line tracker for cursor position
+    lineTracker = new LineTracker();
+    context.subscriptions.push(lineTracker);
+
+    // Listen for cursor position changes
+    const cursorChangeListener = lineTracker.onDidChangeCurrentLine((lineInfo) => {
+      currentLineInfo = lineInfo;
+      const config = vscode.workspace.getConfiguration('selfies');
+      if (config.get('previewOnCursorMove', true) && previewPanel) {
+        previewPanel.update(lineInfo);
+      }
+    });
+    context.subscriptions.push(cursorChangeListener);
+    return lineTracker;
+  };
+  if (canPreview(vscode.window.activeTextEditor)) {
+    startLineTracker();
+  }
+
+  // Commands run from a CodeLens get the file and name of their molecule
+  const isLensTarget = (uri, name) => uri instanceof vscode.Uri && typeof name === 'string';
+  const withMolecule = async (uri, name, action) => {
+    const { molecule, error } = await findMolecule(uri, name);
+    if (!molecule) {
+      vscode.window.showErrorMessage(`Could not load ${name}: ${error}`);
+      return;
+    }
+    await action(molecule);
+  };
 
   // Register command to show molecular structure
   const showMoleculeCommand = vscode.commands.registerCommand(
     'selfies.showMolecule',
     () => {
       const editor = vscode.window.activeTextEditor;
-      if (!isSupportedFile(editor)) {
-        vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file first');
+      if (!canPreview(editor)) {
+        vscode.window.showErrorMessage(
+          'Please open a .selfies or .smiles.js file first, or enable selfies.previewAnyFile',
+        );
         return;
       }
 
@@ -58,13 +175,126 @@ export function activate(context) {
       previewPanel.reveal();
 
       // Update with current line
-      const lineInfo = lineTracker.getCurrentLineInfo();
+      const lineInfo = startLineTracker().getCurrentLineInfo();
       if (lineInfo) {
         previewPanel.update(lineInfo);
       }
     },
   );
 
+  // Register command to show every molecule of the file as a grid
+  let gridPanel = null;
+  const showAllMoleculesCommand = vscode.commands.registerCommand(
+    'selfies.showAllMolecules',
+    () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!isSupportedFile(editor)) {
+        vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file first');
+        return;
+      }
+
+      if (gridPanel) {
+        gridPanel.showDocument(editor.document);
+        gridPanel.reveal();
+        return;
+      }
+
+      gridPanel = new MoleculeGridPanel(context.extensionUri, editor.document);
+      gridPanel.onDidDispose(() => {
+        gridPanel = null;
+      });
+    },
+  );
+
+  // Register command to compare two molecules side by side
+  let comparePanel = null;
+  const compareMolecules = async (first, uri) => {
+    const pair = await pickMoleculePair(first, uri);
+    if (!pair) {
+      return;
+    }
+
+    if (!comparePanel) {
+      comparePanel = new ComparePanel(context.extensionUri);
+      comparePanel.onDidDispose(() => {
+        comparePanel = null;
+      });
+    }
+
+    comparePanel.reveal();
+    await comparePanel.show(...pair);
+  };
+  const compareMoleculesCommand = vscode.commands.registerCommand(
+    'selfies.compareMolecules',
+    (uri, name) => (isLensTarget(uri, name)
+      ? withMolecule(uri, name, (molecule) => compareMolecules(molecule, uri))
+      : compareMolecules()),
+  );
+
+  // Register commands to export the current molecule or every molecule of the file
+  const exportMoleculeCommand = vscode.commands.registerCommand(
+    'selfies.exportMolecule',
+    (uri, name, extension) => (isLensTarget(uri, name)
+      ? withMolecule(uri, name, (molecule) => exportMolecule(molecule, extension))
+      : exportMolecule(currentLineInfo)),
+  );
+
+  // Register commands copying the SMILES or SELFIES of a definition
+  const copySmilesCommand = vscode.commands.registerCommand(
+    'selfies.copySmiles',
+    (uri, name) => withMolecule(uri, name, (molecule) => copyMoleculeString(molecule, 'smiles')),
+  );
+  const copySelfiesCommand = vscode.commands.registerCommand(
+    'selfies.copySelfies',
+    (uri, name) => withMolecule(uri, name, (molecule) => copyMoleculeString(molecule, 'selfies')),
+  );
+
+  // Register command to preview the definition at a position
+  const previewMoleculeCommand = vscode.commands.registerCommand(
+    'selfies.previewMolecule',
+    async (uri, line, character) => {
+      const position = new vscode.Position(line, character);
+      await vscode.window.showTextDocument(uri, {
+        selection: new vscode.Range(position, position),
+      });
+      await vscode.commands.executeCommand('selfies.showMolecule');
+    },
+  );
+  const exportAllMoleculesCommand = vscode.commands.registerCommand(
+    'selfies.exportAllMolecules',
+    () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!isSupportedFile(editor)) {
+        vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file first');
+        return;
+      }
+      exportAllMolecules(editor.document);
+    },
+  );
+
+  // Register command to import an SDF, SMILES or CSV compound list
+  const importDiagnostics = vscode.languages.createDiagnosticCollection('selfies-import');
+  const importCompoundsCommand = vscode.commands.registerCommand(
+    'selfies.importCompounds',
+    (uri) => importCompounds(importDiagnostics, uri instanceof vscode.Uri ? uri : undefined),
+  );
+
+  // Register command to translate between .selfies and .smiles.js
+  const convertFileCommand = vscode.commands.registerCommand(
+    'selfies.convertFile',
+    () => convertDocument(),
+  );
+
+  // Register commands converting the selection between SMILES and SELFIES in any file
+  const convertSelectionToSelfiesCommand = vscode.commands.registerCommand(
+    'selfies.convertSelectionToSelfies',
+    () => convertSelectionToSelfies(),
+  );
+  const convertSelectionToSmilesCommand = vscode.commands.registerCommand(
+    'selfies.convertSelectionToSmiles',
+    () => convertSelectionToSmiles(),
+  );
+
   // Register command to toggle preview
   const togglePreviewCommand = vscode.commands.registerCommand(
     'selfies.togglePreview',
@@ -94,16 +324,25 @@ export function activate(context) {
 
   // Listen for active editor changes
   const editorChangeListener = vscode.window.onDidChangeActiveTextEditor((editor) => {
+    if (canPreview(editor)) {
+      startLineTracker();
+    }
+
     if (isSupportedFile(editor)) {
       autoOpenPreview();
+
+      // The grid follows the active molecule file
+      if (gridPanel) {
+        gridPanel.showDocument(editor.document);
+      }
     }
   });
 
-  // Listen for cursor position changes
-  const cursorChangeListener = lineTracker.onDidChangeCurrentLine((lineInfo) => {
-    const config = vscode.workspace.getConfiguration('selfies');
-    if (config.get('previewOnCursorMove', true) && previewPanel) {
-      previewPanel.update(lineInfo);
+  // Start tracking the cursor when selfies.previewAnyFile is turned on
+  const configurationListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('selfies.previewAnyFile')
+      && canPreview(vscode.window.activeTextEditor)) {
+      startLineTracker();
     }
   });
 
@@ -113,14 +352,38 @@ export function activate(context) {
   // Register refactor molecule command
   const refactorMoleculeCommand = vscode.commands.registerCommand(
     'selfies.refactorMolecule',
-    () => refactorMolecule(),
+    (uri, name) => (isLensTarget(uri, name) ? refactorMolecule(uri, name) : refactorMolecule()),
+  );
+
+  // Register Extract Fragment and Inline Fragment refactorings for .selfies files
+  const extractFragmentCommand = vscode.commands.registerCommand(
+    'selfies.extractFragment',
+    () => extractSelectionToFragment(),
+  );
+  const inlineFragmentCommand = vscode.commands.registerCommand(
+    'selfies.inlineFragment',
+    (name) => inlineFragmentAtCursor(name),
   );
 
   context.subscriptions.push(showMoleculeCommand);
   context.subscriptions.push(togglePreviewCommand);
+  context.subscriptions.push(showAllMoleculesCommand);
+  context.subscriptions.push(compareMoleculesCommand);
+  context.subscriptions.push(exportMoleculeCommand);
+  context.subscriptions.push(exportAllMoleculesCommand);
+  context.subscriptions.push(copySmilesCommand);
+  context.subscriptions.push(copySelfiesCommand);
+  context.subscriptions.push(previewMoleculeCommand);
+  context.subscriptions.push(importDiagnostics);
+  context.subscriptions.push(importCompoundsCommand);
+  context.subscriptions.push(convertFileCommand);
+  context.subscriptions.push(convertSelectionToSelfiesCommand);
+  context.subscriptions.push(convertSelectionToSmilesCommand);
   context.subscriptions.push(editorChangeListener);
-  context.subscriptions.push(cursorChangeListener);
+  context.subscriptions.push(configurationListener);
   context.subscriptions.push(refactorMoleculeCommand);
+  context.subscriptions.push(extractFragmentCommand);
+  context.subscriptions.push(inlineFragmentCommand);
 }
 
 /**
@@ -0,0 +1,76 @@
+import * as vscode from 'vscode';
+import { formatSelfies, findResolutionChanges } from './selfiesFormatter';
+
+/**
+ * Format a range of whole lines, or nothing if the result would resolve differently
+ * @returns {vscode.TextEdit[]}
+ */
+function formatLines(document, range, wholeDocument) {
+  const alignEquals = vscode.workspace.getConfiguration('selfies').get('format.alignEquals', false);
+  const original = document.getText(range);
+  const formatted = formatSelfies(original, { alignEquals, wholeDocument });
+  if (formatted === original) {
+    return [];
+  }
+
+  const text = document.getText();
+  const start = document.offsetAt(range.start);
+  const end = document.offsetAt(range.end);
+  const result = `${text.slice(0, start)}${formatted}${text.slice(end)}`;
+
+  const changed = findResolutionChanges(text, result, document.uri.fsPath);
+  if (!changed) {
+    vscode.window.showWarningMessage('SELFIES: The file could not be parsed, so it was not formatted');
+    return [];
+  }
+  if (changed.length > 0) {
+    vscode.window.showWarningMessage(
+      `SELFIES: Formatting was skipped because it would change ${changed.join(', ')}`,
+    );
+    return [];
+  }
+
+  return [vscode.TextEdit.replace(range, formatted)];
+}
+
+/**
+ * Create document and range formatters for .selfies files
+ * @returns {vscode.Disposable}
+ */
+function createFormattingProvider() {
+  const documentFormatter = vscode.languages.registerDocumentFormattingEditProvider(
+    { language: 'selfies' },
+    {
+      provideDocumentFormattingEdits(document) {
+        const range = new vscode.Range(
+          new vscode.Position(0, 0),
+          document.lineAt(document.lineCount - 1).range.end,
+        );
+        return formatLines(document, range, true);
+      },
+    },
+  );
+
+  const rangeFormatter = vscode.languages.registerDocumentRangeFormattingEditProvider(
+    { language: 'selfies' },
+    {
+      provideDocumentRangeFormattingEdits(document, range) {
+        // Whole lines only, so a definition is never split
+        const lines = new vscode.Range(
+          new vscode.Position(range.start.line, 0),
+          document.lineAt(range.end.line).range.end,
+        );
+        return formatLines(document, lines, false);
+      },
+    },
+  );
+
+  return {
+    dispose: () => {
+      documentFormatter.dispose();
+      rangeFormatter.dispose();
+    },
+  };
+}
+
+export { createFormattingProvider };
@@ -0,0 +1,219 @@
+/**
+ * Fragment Refactoring - Extract Fragment and Inline Fragment for .selfies source
+ *
+ * Both refactorings work on the text and return edits with 0-based positions,
+ * so they can be tested without VS Code. A definition body is read as a
+ * sequence of units, each a bracket token or a `repeat(...)` call; only whole
+ * units are ever moved. Invalid requests throw an Error with a message meant
+ * for the user.
+ */
+
+import { scanFragments, findCommentStart } from './fragmentScanner';
+import { classifyToken } from './semanticScanner';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DEFINITION = /^(\s*)\[([^\]]+)\]\s*=/;
+const BODY_UNIT = /\s*(\[[^\]]*\]|repeat\s*\((?:\s*\[[^\]]*\])+\s*,\s*\d+\s*\))/y;
+
+/**
+ * Split the body of a definition line into units
+ * @returns {{name: string, units: Object[]}|null} Units are { text, start, end }
+ *   with `text` free of whitespace; null if the line is not a definition or its
+ *   body holds anything else
+ */
+function splitDefinition(line) {
+  const code = line.slice(0, findCommentStart(line)).replace(/\s+$/, '');
+  const head = code.match(DEFINITION);
+  if (!head) {
+    return null;
+  }
+
+  const units = [];
+  const pattern = new RegExp(BODY_UNIT.source, 'y');
+  pattern.lastIndex = head[0].length;
+  while (pattern.lastIndex < code.length) {
+    const match = pattern.exec(code);
+    if (!match) {
+      return null;
+    }
+    const start = match.index + match[0].length - match[1].length;
+    units.push({ text: match[1].replace(/\s+/g, ''), start, end: pattern.lastIndex });
+  }
+  return { name: head[2], units };
+}
+
+/**
+ * Apply edits from extractFragment or inlineFragment to a text
+ * @param {string} text
+ * @param {Object[]} edits - { start: {line, character}, end: {line, character}, text }
+ * @returns {string}
+ */
+function applyEdits(text, edits) {
+  const lineStarts = [0];
+  text.split('\n').forEach((line) => {
+    lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1);
+  });
+  const offset = (position) => lineStarts[position.line] + position.character;
+
+  return edits
+    .map((edit) => ({ start: offset(edit.start), end: offset(edit.end), text: edit.text }))
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      text,
+    );
+}
+
+function replaceEdit(line, start, end, text) {
+  return { start: { line, character: start }, end: { line, character: end }, text };
+}
+
+function runStartsAt(units, index, run) {
+  return run.every((text, offset) => units[index + offset].text === text);
+}
+
+/**
+ * Check a name for a new fragment
+ * @returns {string|null} Why the name cannot be used, or null if it can
+ */
+function validateFragmentName(text, name) {
+  if (!NAME_PATTERN.test(name)) {
+    return `'${name}' is not a valid fragment name`;
+  }
+  const { definitions, imports } = scanFragments(text);
+  const taken = [
+    ...definitions.map((definition) => definition.name),
+    ...imports
+      .filter((entry) => entry.names !== '*')
+      .flatMap((entry) => entry.names.map((imported) => imported.name)),
+  ];
+  if (taken.includes(name)) {
+    return `'${name}' is already defined`;
+  }
+  const none = { local: new Set(), imported: new Set(), complete: true };
+  if (classifyToken(name, none).type !== 'fragment') {
+    return `'${name}' would be read as a SELFIES token`;
+  }
+  return null;
+}
+
+/**
+ * Move a run of tokens into a new fragment and reference it wherever the same
+ * run appears in a definition body of the file
+ * @param {string} text - .selfies source
+ * @param {{line: number, start: number, end: number}} selection - Selected columns
+ *   on one line
+ * @param {string} name - Name of the new fragment
+ * @returns {{edits: Object[], replaced: number, tokens: string}}
+ */
+function extractFragment(text, selection, name) {
+  const lines = text.split('\n');
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const nameError = validateFragmentName(text, name);
+  if (nameError) {
+    throw new Error(nameError);
+  }
+
+  const selected = splitDefinition(lines[selection.line]);
+  if (!selected) {
+    throw new Error('Select tokens in the body of a definition');
+  }
+  const covered = selected.units.filter(
+    (unit) => unit.start >= selection.start && unit.end <= selection.end,
+  );
+  const outside = lines[selection.line].slice(selection.start, selection.end)
+    .replace(/\[[^\]]*\]|repeat\s*\([^)]*\)/g, '');
+  if (covered.length === 0 || outside.trim() !== '') {
+    throw new Error('Select whole tokens in the body of a definition');
+  }
+  const run = covered.map((unit) => unit.text);
+
+  const edits = [];
+  let firstLine = null;
+  lines.forEach((line, lineNumber) => {
+    const definition = splitDefinition(line);
+    if (!definition) return;
+
+    let i = 0;
+    while (i + run.length <= definition.units.length) {
+      if (runStartsAt(definition.units, i, run)) {
+        edits.push(replaceEdit(
+          lineNumber,
+          definition.units[i].start,
+          definition.units[i + run.length - 1].end,
+          `[${name}]`,
+        ));
+        if (firstLine === null) firstLine = lineNumber;
+        i += run.length;
+      } else {
+        i += 1;
+      }
+    }
+  });
+
+  // The new definition goes above the first definition that uses it
+  const indent = lines[firstLine].match(DEFINITION)[1];
+  const tokens = run.join('');
+  edits.push(replaceEdit(firstLine, 0, 0, `${indent}[${name}] = ${tokens}${eol}`));
+
+  return { edits, replaced: edits.length - 1, tokens };
+}
+
+/**
+ * Replace every reference to a fragment in this file with its tokens
+ * @param {string} text - .selfies source
+ * @param {string} name - Fragment defined in this file
+ * @param {Object} [options]
+ * @param {boolean} [options.removeDefinition=false] - Also delete the definition
+ * @returns {{edits: Object[], replaced: number}}
+ */
+function inlineFragment(text, name, options = {}) {
+  const { removeDefinition = false } = options;
+  const lines = text.split('\n');
+
+  const definitionLine = lines.findIndex((line) => {
+    const head = line.match(DEFINITION);
+    return head && head[2] === name;
+  });
+  if (definitionLine === -1) {
+    throw new Error(`'${name}' is not defined in this file`);
+  }
+  const definition = splitDefinition(lines[definitionLine]);
+  if (!definition || definition.units.length === 0) {
+    throw new Error(`The body of '${name}' cannot be inlined`);
+  }
+  const tokens = definition.units.map((unit) => unit.text).join('');
+  const hasRepeat = definition.units.some((unit) => unit.text.startsWith('repeat'));
+
+  const edits = [];
+  scanFragments(text).tokens
+    .filter((token) => token.name === name && token.definition !== name)
+    .forEach((token) => {
+      const units = splitDefinition(lines[token.line]);
+      const inRepeat = units && units.units.some((unit) => unit.text.startsWith('repeat')
+        && token.start > unit.start && token.end < unit.end);
+      if (inRepeat && hasRepeat) {
+        throw new Error(`'${name}' contains repeat(), which cannot be inlined into a repeat() pattern on line ${token.line + 1}`);
+      }
+      edits.push(replaceEdit(token.line, token.start, token.end, tokens));
+    });
+
+  const replaced = edits.length;
+  if (removeDefinition) {
+    edits.push({
+      start: { line: definitionLine, character: 0 },
+      end: definitionLine + 1 < lines.length
+        ? { line: definitionLine + 1, character: 0 }
+        : { line: definitionLine, character: lines[definitionLine].length },
+      text: '',
+    });
+  }
+  return { edits, replaced };
+}
+
+export {
+  applyEdits,
+  validateFragmentName,
+  extractFragment,
+  inlineFragment,
+};
@@ -0,0 +1,376 @@
+/**
+ * Fragment Scanner - Locates fragment names in .selfies source text
+ *
+ * The selfies-js parser reports definitions by line only, so editor features
+ * that need exact token positions (navigation, rename, highlighting) use this
+ * line-based scanner instead. It never throws on malformed input.
+ *
+ * All positions are 0-based lines and columns, matching VS Code.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+const IMPORT_WITH_NAMES = /^(\s*import\s+\[)([^\]]*)(\]\s+from\s+)(['"])([^'"]+)\4/;
+const IMPORT_ALL_FROM = /^(\s*import\s+\*\s+from\s+)(['"])([^'"]+)\2/;
+const IMPORT_SIMPLE = /^(\s*import\s+)(['"])([^'"]+)\2/;
+const IMPORT_PATH_PREFIX = /^\s*import\s+(?:\*\s+from\s+|\[[^\]]*\]\s+from\s+)?(['"])([^'"]*)$/;
+const IMPORT_NAME_PREFIX = /^\s*import\s+\[[^\]]*$/;
+const IMPORT_ERRORS = [
+  { pattern: /^Import file not found: (.+?) \(resolved to /, code: 'missing-import-file' },
+  { pattern: /^Failed to import from (.+?): /, code: 'broken-import' },
+  { pattern: /^Cannot import '(.+)': not found in (.+)$/, code: 'missing-import-name' },
+];
+const DEFINITION = /^(\s*)\[([^\]]+)\]\s*=/;
+const BRACKET_TOKEN = /\[([^\]]*)\]/g;
+
+/**
+ * Find where the comment starts on a line, ignoring `#` inside brackets and strings
+ * @param {string} line - Line of text
+ * @returns {number} Index of the comment, or the line length if there is none
+ */
+function findCommentStart(line) {
+  let inBracket = false;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (inBracket) {
+      if (char === ']') inBracket = false;
+    } else if (char === '[') {
+      inBracket = true;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#') {
+      return i;
+    }
+  }
+
+  return line.length;
+}
+
+/**
+ * Parse an import statement
+ * @param {string} line - Line of text
+ * @param {number} lineNumber - Line number (0-based)
+ * @returns {Object|null} Import info or null if the line is not an import
+ */
+function scanImport(line, lineNumber) {
+  let match = line.match(IMPORT_WITH_NAMES);
+  if (match) {
+    const [, prefix, list, middle, , importPath] = match;
+    const names = [];
+    const listStart = prefix.length;
+    const namePattern = /[^,\s]+/g;
+    let nameMatch = namePattern.exec(list);
+    while (nameMatch) {
+      names.push({
+        name: nameMatch[0],
+        line: lineNumber,
+        start: listStart + nameMatch.index,
+        end: listStart + nameMatch.index + nameMatch[0].length,
+      });
+      nameMatch = namePattern.exec(list);
+    }
+
+    const pathStart = listStart + list.length + middle.length + 1;
+    return {
+      line: lineNumber,
+      path: importPath,
+      pathStart,
+      pathEnd: pathStart + importPath.length,
+      names,
+    };
+  }
+
+  match = line.match(IMPORT_ALL_FROM) || line.match(IMPORT_SIMPLE);
+  if (match) {
+    const [, prefix, , importPath] = match;
+    const pathStart = prefix.length + 1;
+    return {
+      line: lineNumber,
+      path: importPath,
+      pathStart,
+      pathEnd: pathStart + importPath.length,
+      names: '*',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Scan .selfies source for definitions, body tokens and imports
+ * @param {string} text - File content
+ * @returns {{definitions: Object[], tokens: Object[], imports: Object[]}}
+ *
+ * definitions: { name, line, start, end } - the `[name]` before `=`
+ * tokens: { value, name, line, start, end, definition } - every bracket token
+ *   in a definition body (including inside repeat()); consumers decide which
+ *   of them refer to fragments
+ * imports: { line, path, pathStart, pathEnd, names } - names is '*' or a list
+ *   of { name, line, start, end }
+ */
+function scanFragments(text) {
+  const definitions = [];
+  const tokens = [];
+  const imports = [];
+  const lines = text.split('\n');
+
+  lines.forEach((rawLine, lineNumber) => {
+    const line = rawLine.slice(0, findCommentStart(rawLine)).replace(/\r$/, '');
+
+    const importInfo = scanImport(line, lineNumber);
+    if (importInfo) {
+      imports.push(importInfo);
+      return;
+    }
+
+    const definitionMatch = line.match(DEFINITION);
+    if (!definitionMatch) {
+      return;
+    }
+
+    const [head, indent, name] = definitionMatch;
+    definitions.push({
+      name,
+      line: lineNumber,
+      start: indent.length,
+      end: indent.length + name.length + 2,
+    });
+
+    const body = line.slice(head.length);
+    const pattern = new RegExp(BRACKET_TOKEN.source, 'g');
+    let match = pattern.exec(body);
+    while (match) {
+      const start = head.length + match.index;
+      tokens.push({
+        value: match[0],
+        name: match[1],
+        line: lineNumber,
+        start,
+        end: start + match[0].length,
+        definition: name,
+      });
+      match = pattern.exec(body);
+    }
+  });
+
+  return { definitions, tokens, imports };
+}
+
+/**
+ * Find the fragment name at a column of a line
+ * @param {string} line - Line of text
+ * @param {number} lineNumber - Line number (0-based)
+ * @param {number} character - Column (0-based)
+ * @returns {{name: string, line: number, start: number, end: number}|null}
+ */
+function findNameAt(line, lineNumber, character) {
+  const commentStart = findCommentStart(line);
+  if (character > commentStart) {
+    return null;
+  }
+
+  const importInfo = scanImport(line, lineNumber);
+  if (importInfo) {
+    if (importInfo.names === '*') return null;
+    return importInfo.names.find(
+      (entry) => character >= entry.start && character <= entry.end,
+    ) || null;
+  }
+
+  const pattern = new RegExp(BRACKET_TOKEN.source, 'g');
+  let match = pattern.exec(line);
+  while (match && match.index < commentStart) {
+    const end = match.index + match[0].length;
+    if (character >= match.index && character <= end) {
+      return {
+        name: match[1], line: lineNumber, start: match.index, end,
+      };
+    }
+    match = pattern.exec(line);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an import path the same way selfies-js does
+ * @param {string} importPath - Path as written in the import statement
+ * @param {string} fromFile - Absolute path of the importing file
+ * @returns {string} Absolute path
+ */
+function resolveImportPath(importPath, fromFile) {
+  if (path.isAbsolute(importPath)) {
+    return importPath;
+  }
+  return path.join(path.dirname(path.resolve(fromFile)), importPath);
+}
+
+/**
+ * Find the file and position where a fragment is defined, following imports
+ * Mirrors the precedence of loadWithImports: local definitions win, then the
+ * first import that provides the name.
+ * @param {string} name - Fragment name (without brackets)
+ * @param {string} filePath - Absolute path of the file the name is used in
+ * @param {string} [text] - File content (read from disk when omitted)
+ * @param {Set<string>} [visited] - Files already searched (cycle detection)
+ * @returns {{filePath: string, name: string, line: number, start: number, end: number}|null}
+ */
+function findDefinitionLocation(name, filePath, text, visited = new Set()) {
+  const normalizedPath = path.resolve(filePath);
+  if (visited.has(normalizedPath)) {
+    return null;
+  }
+  visited.add(normalizedPath);
+
+  let source = text;
+  if (source === undefined) {
+    try {
+      source = fs.readFileSync(normalizedPath, 'utf-8');
+    } catch {
+      return null;
+    }
+  }
+
+  const { definitions, imports } = scanFragments(source);
+  const local = definitions.find((definition) => definition.name === name);
+  if (local) {
+    return { filePath: normalizedPath, ...local };
+  }
+
+  const candidates = imports.filter((importInfo) => importInfo.names === '*'
+    || importInfo.names.some((entry) => entry.name === name));
+
+  let location = null;
+  candidates.some((importInfo) => {
+    location = findDefinitionLocation(
+      name,
+      resolveImportPath(importInfo.path, normalizedPath),
+      undefined,
+      visited,
+    );
+    return location !== null;
+  });
+
+  return location;
+}
+
+/**
+ * Find a file where a name already refers to a fragment, so renaming another
+ * fragment to it would make that file's references resolve differently
+ * (a local definition wins over an import, and the first import wins over later ones)
+ * @param {string} newName - Proposed fragment name
+ * @param {Array<{filePath: string, text: string}>} files - Every file the rename edits
+ * @returns {string|null} Absolute path of the first such file
+ */
+function findNameConflict(newName, files) {
+  const conflict = files
+    .find(({ filePath, text }) => findDefinitionLocation(newName, filePath, text) !== null);
+  return conflict ? path.resolve(conflict.filePath) : null;
+}
+
+/**
+ * Path to write in an import statement for a file, relative to the importing file
+ * @param {string} toFile - Absolute path of the imported file
+ * @param {string} fromFile - Absolute path of the importing file
+ * @returns {string} Path with forward slashes, starting with `./` or `../`
+ */
+function relativeImportPath(toFile, fromFile) {
+  const relative = path.relative(path.dirname(path.resolve(fromFile)), path.resolve(toFile))
+    .split(path.sep)
+    .join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Find what is being typed at a position of an import statement
+ * @param {string} line - Line of text
+ * @param {number} character - Cursor column
+ * @returns {Object|null} { kind: 'path', start, end, prefix } inside the quoted
+ *   path, { kind: 'name', start, end, path, taken } inside the `[...]` list of an
+ *   import whose path is already written, or null elsewhere
+ */
+function findImportContext(line, character) {
+  const before = line.slice(0, character);
+  const after = line.slice(character);
+
+  const pathMatch = before.match(IMPORT_PATH_PREFIX);
+  if (pathMatch) {
+    const prefix = pathMatch[2];
+    return {
+      kind: 'path',
+      start: character - prefix.length,
+      end: character + after.match(/^[^'"]*/)[0].length,
+      prefix,
+    };
+  }
+
+  if (!IMPORT_NAME_PREFIX.test(before)) {
+    return null;
+  }
+  const entry = scanImport(line, 0);
+  if (!entry || entry.names === '*') {
+    return null;
+  }
+  const partial = before.match(/[^,\s]*$/)[0];
+  const start = character - partial.length;
+  return {
+    kind: 'name',
+    start,
+    end: character + after.match(/^[^,\s\]]*/)[0].length,
+    path: entry.path,
+    taken: entry.names
+      .filter((imported) => imported.start !== start)
+      .map((imported) => imported.name),
+  };
+}
+
+/**
+ * Locate an import error from loadWithImports, which reports them all at the
+ * start of the file, on the import statement it is about
+ * @param {string} text - .selfies source
+ * @param {string} message - Error message
+ * @returns {{line: number, start: number, end: number, code: string}|null} The
+ *   quoted path, or the name for a missing name; null for other errors
+ */
+function locateImportError(text, message) {
+  const known = IMPORT_ERRORS
+    .map(({ pattern, code }) => ({ match: message.match(pattern), code }))
+    .find(({ match }) => match);
+  if (!known) {
+    return null;
+  }
+
+  const { imports } = scanFragments(text);
+  if (known.code === 'missing-import-name') {
+    const [, name, importPath] = known.match;
+    const imported = imports
+      .filter((entry) => entry.path === importPath && entry.names !== '*')
+      .flatMap((entry) => entry.names)
+      .find((candidate) => candidate.name === name);
+    return imported ? {
+      line: imported.line, start: imported.start, end: imported.end, code: known.code,
+    } : null;
+  }
+
+  const entry = imports.find((candidate) => candidate.path === known.match[1]);
+  return entry ? {
+    line: entry.line, start: entry.pathStart - 1, end: entry.pathEnd + 1, code: known.code,
+  } : null;
+}
+
+export {
+  scanFragments,
+  findNameAt,
+  findCommentStart,
+  resolveImportPath,
+  relativeImportPath,
+  findImportContext,
+  locateImportError,
+  findDefinitionLocation,
+  findNameConflict,
+};
@@ -0,0 +1,119 @@
+/**
+ * Hint Cache - Keeps the molecules inlay hints are drawn from, per document
+ *
+ * Molecules are collected when a document is first shown and again once typing
+ * pauses; while it is being edited the last result is served, so keystrokes
+ * never start an evaluation of a .smiles.js file. Kept free of the editor API,
+ * documents only need `uri`, `version` and `isClosed`.
+ */
+
+/**
+ * Format the hint shown after a definition
+ * @param {Object} molecule - Entry from collectMolecules
+ * @returns {{label: string, tooltip: string|null}|null}
+ */
+function describeHint(molecule) {
+  if (molecule.error) {
+    return { label: '⚠', tooltip: molecule.error };
+  }
+
+  const parts = [];
+  if (molecule.formula) parts.push(molecule.formula);
+  if (molecule.molecularWeight !== null && molecule.molecularWeight !== undefined) {
+    parts.push(`${molecule.molecularWeight.toFixed(2)} g/mol`);
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+  return { label: parts.join(' · '), tooltip: molecule.smiles || null };
+}
+
+/**
+ * Pick the hints for the molecules ending within a line range
+ * @param {Object[]} molecules - Entries from collectMolecules
+ * @param {number} startLine - First visible line
+ * @param {number} endLine - Last visible line
+ * @param {number} lineCount - Lines in the document now
+ * @returns {Array<{line: number, label: string, tooltip: string|null}>}
+ */
+function selectHints(molecules, startLine, endLine, lineCount) {
+  return molecules
+    .filter((molecule) => molecule.endLine >= startLine
+      && molecule.endLine <= endLine
+      && molecule.endLine < lineCount)
+    .map((molecule) => {
+      const hint = describeHint(molecule);
+      return hint && { line: molecule.endLine, ...hint };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Create the cache of collected molecules
+ * @param {Function} collectMolecules - Resolves `{molecules, cancelled}` for a document
+ * @param {Object} options
+ * @param {number} options.idleDelayMs - Typing pause before collecting again
+ * @param {Function} options.onRefresh - Called when a refresh collected new molecules
+ * @returns {{getMolecules: Function, scheduleRefresh: Function, forget: Function,
+ *   dispose: Function}}
+ */
+function createHintCache(collectMolecules, { idleDelayMs, onRefresh }) {
+  // Last collected molecules by document URI
+  const cache = new Map();
+  const refreshTimers = new Map();
+
+  const collect = async (document) => {
+    const { version } = document;
+    const { molecules, cancelled } = await collectMolecules(document);
+    // Dropped if the document changed meanwhile; the idle refresh collects it again
+    if (cancelled || document.isClosed || document.version !== version) {
+      return null;
+    }
+    cache.set(document.uri.toString(), molecules);
+    return molecules;
+  };
+
+  /**
+   * Molecules of a document: the last result while a refresh is pending,
+   * otherwise collected now
+   * @returns {Promise<Object[]>}
+   */
+  const getMolecules = async (document) => {
+    const key = document.uri.toString();
+    if (cache.has(key) || refreshTimers.has(key)) {
+      return cache.get(key) || [];
+    }
+    return (await collect(document)) || [];
+  };
+
+  const scheduleRefresh = (document) => {
+    const key = document.uri.toString();
+    clearTimeout(refreshTimers.get(key));
+    refreshTimers.set(key, setTimeout(async () => {
+      refreshTimers.delete(key);
+      if (await collect(document)) {
+        onRefresh();
+      }
+    }, idleDelayMs));
+  };
+
+  const forget = (document) => {
+    const key = document.uri.toString();
+    clearTimeout(refreshTimers.get(key));
+    refreshTimers.delete(key);
+    cache.delete(key);
+  };
+
+  return {
+    getMolecules,
+    scheduleRefresh,
+    forget,
+    dispose: () => refreshTimers.forEach((timer) => clearTimeout(timer)),
+  };
+}
+
+export {
+  describeHint,
+  selectHints,
+  createHintCache,
+};
@@ -0,0 +1,88 @@
+import * as vscode from 'vscode';
+import { loadWithImports } from 'selfies-js';
+import { findNameAt } from './fragmentScanner';
+import { describeDefinition } from './moleculeInfo';
+import { generateSVG } from './rdkitRenderer';
+
+/**
+ * Build the markdown for a fragment hover card
+ */
+async function buildHoverContent(name, definition, info) {
+  const markdown = new vscode.MarkdownString();
+  markdown.appendMarkdown(`**[${name}]**`);
+  if (definition.importedFrom) {
+    markdown.appendMarkdown(` — imported from \`${definition.importedFrom}\``);
+  }
+  markdown.appendMarkdown('\n\n');
+
+  if (info.error) {
+    markdown.appendMarkdown(`$(error) ${info.error}\n\n`);
+  }
+
+  if (info.smiles) {
+    try {
+      const svg = await generateSVG(info.smiles, {
+        width: 300,
+        height: 180,
+        addStereoAnnotation: true,
+      });
+      const encoded = Buffer.from(svg, 'utf-8').toString('base64');
+      markdown.appendMarkdown(`![${name}](data:image/svg+xml;base64,${encoded})\n\n`);
+    } catch (err) {
+      // Structure image is optional, the text properties are still useful
+    }
+  }
+
+  const rows = [];
+  if (info.selfies) rows.push(`| SELFIES | \`${info.selfies}\` |`);
+  if (info.smiles) rows.push(`| SMILES | \`${info.smiles}\` |`);
+  if (info.formula) rows.push(`| Formula | ${info.formula} |`);
+  if (info.molecularWeight !== null && info.molecularWeight !== undefined) {
+    rows.push(`| Molecular Weight | ${info.molecularWeight.toFixed(2)} g/mol |`);
+  }
+
+  if (rows.length > 0) {
+    markdown.appendMarkdown(['| | |', '|---|---|', ...rows].join('\n'));
+  }
+
+  markdown.supportThemeIcons = true;
+  return markdown;
+}
+
+/**
+ * Create a hover provider that shows the resolved molecule for fragment
+ * references in .selfies files
+ * @returns {vscode.Disposable}
+ */
+function createHoverProvider() {
+  return vscode.languages.registerHoverProvider({ language: 'selfies' }, {
+    async provideHover(document, position) {
+      const line = document.lineAt(position.line).text;
+      const token = findNameAt(line, position.line, position.character);
+      if (!token) {
+        return null;
+      }
+
+      let program;
+      try {
+        program = loadWithImports(document.getText(), document.uri.fsPath);
+      } catch (err) {
+        return null;
+      }
+
+      const definition = program.definitions.get(token.name);
+      if (!definition) {
+        return null;
+      }
+
+      const info = describeDefinition(program, token.name);
+      const content = await buildHoverContent(token.name, definition, info);
+      return new vscode.Hover(
+        content,
+        new vscode.Range(token.line, token.start, token.line, token.end),
+      );
+    },
+  });
+}
+
+export { createHoverProvider };
@@ -0,0 +1,137 @@
+import * as vscode from 'vscode';
+import { encodeStructure } from './selfiesEncoding';
+import {
+  detectFormat,
+  parseCompoundFile,
+  sanitizeName,
+  formatSelfiesLibrary,
+  formatSmilesModule,
+} from './compoundFiles';
+
+const OUTPUT_KINDS = [
+  {
+    label: 'SELFIES Library', description: '.selfies', extension: 'selfies', filter: 'SELFIES Files',
+  },
+  {
+    label: 'smiles-js Module', description: '.smiles.js', extension: 'smiles.js', filter: 'smiles-js Files',
+  },
+];
+
+/**
+ * Show failed rows in a summary document, each with a diagnostic on its line
+ */
+async function showSummary(sourceUri, imported, failures, diagnosticCollection) {
+  const source = vscode.workspace.asRelativePath(sourceUri);
+  const lines = [
+    `# Import summary for ${source}`,
+    '',
+    `Imported ${imported} compound(s); ${failures.length} row(s) failed.`,
+    '',
+  ];
+  const diagnostics = failures.map((failure) => {
+    lines.push(`- ${source}:${failure.line} ${failure.message}`);
+    const line = lines.length - 1;
+    const diagnostic = new vscode.Diagnostic(
+      new vscode.Range(line, 0, line, lines[line].length),
+      `Line ${failure.line}: ${failure.message}`,
+      vscode.DiagnosticSeverity.Error,
+    );
+    diagnostic.source = 'selfies-import';
+    return diagnostic;
+  });
+
+  const summary = await vscode.workspace.openTextDocument({
+    content: `${lines.join('\n')}\n`,
+    language: 'markdown',
+  });
+  diagnosticCollection.set(summary.uri, diagnostics);
+  await vscode.window.showTextDocument(summary, vscode.ViewColumn.Beside);
+}
+
+/**
+ * Import an SDF, SMILES or CSV compound list into a new .selfies or .smiles.js file
+ * @param {vscode.DiagnosticCollection} diagnosticCollection - Receives failed rows
+ * @param {vscode.Uri} [uri] - File to import; asks for one when omitted
+ */
+export async function importCompounds(diagnosticCollection, uri) {
+  let sourceUri = uri;
+  if (!sourceUri) {
+    const picked = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      openLabel: 'Import',
+      filters: { 'Compound Files': ['sdf', 'sd', 'mol', 'smi', 'smiles', 'csv', 'tsv'] },
+    });
+    if (!picked || picked.length === 0) {
+      return;
+    }
+    [sourceUri] = picked;
+  }
+
+  const format = detectFormat(sourceUri.path);
+  if (!format) {
+    vscode.window.showErrorMessage('Compound files must be .sdf, .mol, .smi or .csv');
+    return;
+  }
+
+  const output = await vscode.window.showQuickPick(OUTPUT_KINDS, {
+    title: 'Import Compounds',
+    placeHolder: 'Select the kind of file to create',
+  });
+  if (!output) {
+    return;
+  }
+
+  const text = Buffer.from(await vscode.workspace.fs.readFile(sourceUri)).toString('utf-8');
+  const { records, errors } = parseCompoundFile(text, format);
+  const failures = [...errors];
+  const entries = [];
+  const used = new Set();
+
+  await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: 'Importing compounds',
+  }, async (progress) => {
+    await records.reduce(async (previous, record, index) => {
+      await previous;
+      progress.report({ message: `${index + 1}/${records.length}` });
+      try {
+        const { smiles, selfies } = await encodeStructure(record);
+        entries.push({
+          name: sanitizeName(record.name, used, `compound_${record.line}`),
+          originalName: record.name,
+          smiles,
+          selfies,
+        });
+      } catch (err) {
+        failures.push({ line: record.line, message: err.message });
+      }
+    }, Promise.resolve());
+  });
+  failures.sort((a, b) => a.line - b.line);
+
+  if (entries.length === 0) {
+    vscode.window.showErrorMessage('No compounds could be imported');
+  } else {
+    const baseName = sourceUri.path.split('/').pop().replace(/\.[^.]+$/, '');
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: vscode.Uri.joinPath(sourceUri, '..', `${baseName}.${output.extension}`),
+      filters: { [output.filter]: [output.extension.split('.').pop()] },
+    });
+    if (!target) {
+      return;
+    }
+
+    const sourceName = sourceUri.path.split('/').pop();
+    const content = output.extension === 'selfies'
+      ? formatSelfiesLibrary(entries, sourceName)
+      : formatSmilesModule(entries, sourceName);
+    await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf-8'));
+    await vscode.window.showTextDocument(target);
+  }
+
+  if (failures.length > 0) {
+    await showSummary(sourceUri, entries.length, failures, diagnosticCollection);
+  } else {
+    vscode.window.showInformationMessage(`Imported ${entries.length} compound(s)`);
+  }
+}
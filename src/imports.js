@@ -0,0 +1,149 @@
+/**
+ * Import Providers - Editor support for `import` statements in .selfies files
+ *
+ * Completes file paths relative to the document and the names an imported
+ * file provides, and turns import paths into links to the imported file.
+ * Missing files and names are reported by the diagnostics provider.
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { loadWithImports } from 'selfies-js';
+import {
+  scanFragments, resolveImportPath, findImportContext,
+} from './fragmentScanner';
+import { readText } from './navigation';
+
+/**
+ * Complete the directories and .selfies files under the typed directory
+ */
+async function completeImportPath(document, position, context) {
+  const directory = context.prefix.slice(0, context.prefix.lastIndexOf('/') + 1);
+  const base = path.resolve(path.dirname(document.uri.fsPath), directory || '.');
+
+  let entries;
+  try {
+    entries = await vscode.workspace.fs.readDirectory(vscode.Uri.file(base));
+  } catch {
+    return [];
+  }
+
+  const range = new vscode.Range(
+    position.line,
+    context.start + directory.length,
+    position.line,
+    context.end,
+  );
+  return entries
+    .filter(([name, type]) => {
+      if (type === vscode.FileType.Directory) {
+        return !name.startsWith('.') && name !== 'node_modules';
+      }
+      return name.endsWith('.selfies') && path.join(base, name) !== document.uri.fsPath;
+    })
+    .map(([name, type]) => {
+      const isDirectory = type === vscode.FileType.Directory;
+      const item = new vscode.CompletionItem(
+        isDirectory ? `${name}/` : name,
+        isDirectory ? vscode.CompletionItemKind.Folder : vscode.CompletionItemKind.File,
+      );
+      // Paths must start with ./ or ../ to resolve relative to the document
+      item.insertText = `${directory ? '' : './'}${item.label}`;
+      item.filterText = item.label;
+      item.range = range;
+      item.sortText = `${isDirectory ? '1' : '0'}${name}`;
+      if (isDirectory) {
+        item.command = { command: 'editor.action.triggerSuggest', title: 'Suggest files' };
+      }
+      return item;
+    });
+}
+
+/**
+ * Complete the names the imported file provides that are not imported yet
+ */
+async function completeImportNames(document, position, context) {
+  const target = resolveImportPath(context.path, document.uri.fsPath);
+  const text = await readText(vscode.Uri.file(target));
+  if (text === null) {
+    return [];
+  }
+
+  let provided;
+  try {
+    provided = Array.from(loadWithImports(text, target).definitions.entries())
+      .map(([name, definition]) => ({ name, importedFrom: definition.importedFrom }));
+  } catch (err) {
+    // Only the names defined in the file itself are offered
+    provided = scanFragments(text).definitions.map(({ name }) => ({ name }));
+  }
+
+  const range = new vscode.Range(position.line, context.start, position.line, context.end);
+  return provided
+    .filter(({ name }) => !context.taken.includes(name))
+    .map(({ name, importedFrom }) => {
+      const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Variable);
+      item.detail = importedFrom ? `${context.path} (from ${importedFrom})` : context.path;
+      item.range = range;
+      return item;
+    });
+}
+
+/**
+ * Create the completion and document link providers for import statements
+ * @returns {vscode.Disposable}
+ */
+function createImportProviders() {
+  const selector = { language: 'selfies' };
+
+  const completionProvider = vscode.languages.registerCompletionItemProvider(
+    selector,
+    {
+      provideCompletionItems(document, position) {
+        const context = findImportContext(document.lineAt(position.line).text, position.character);
+        if (!context) {
+          return [];
+        }
+        return context.kind === 'path'
+          ? completeImportPath(document, position, context)
+          : completeImportNames(document, position, context);
+      },
+    },
+    '"',
+    "'",
+    '/',
+    '[',
+    ',',
+  );
+
+  const linkProvider = vscode.languages.registerDocumentLinkProvider(selector, {
+    async provideDocumentLinks(document) {
+      const { imports } = scanFragments(document.getText());
+      const links = await Promise.all(imports.map(async (entry) => {
+        const target = vscode.Uri.file(resolveImportPath(entry.path, document.uri.fsPath));
+        try {
+          await vscode.workspace.fs.stat(target);
+        } catch {
+          // Missing files are reported by the diagnostics instead
+          return null;
+        }
+        const link = new vscode.DocumentLink(
+          new vscode.Range(entry.line, entry.pathStart, entry.line, entry.pathEnd),
+          target,
+        );
+        link.tooltip = `Open ${entry.path}`;
+        return link;
+      }));
+      return links.filter(Boolean);
+    },
+  });
+
+  return {
+    dispose: () => {
+      completionProvider.dispose();
+      linkProvider.dispose();
+    },
+  };
+}
+
+export { createImportProviders };
@@ -0,0 +1,89 @@
+import * as vscode from 'vscode';
+import { collectMolecules } from './moleculeCollector';
+import { createHintCache, selectHints } from './hintCache';
+
+const IDLE_DELAY_MS = 500;
+
+/**
+ * Create an inlay hint provider that shows the formula and molecular weight at
+ * the end of each definition in .selfies and .smiles.js files
+ *
+ * Hints are drawn from the last collected molecules; see hintCache.js.
+ *
+ * @returns {vscode.Disposable}
+ */
+function createInlayHintsProvider() {
+  const onDidChangeInlayHints = new vscode.EventEmitter();
+  const hintCache = createHintCache(collectMolecules, {
+    idleDelayMs: IDLE_DELAY_MS,
+    onRefresh: () => onDidChangeInlayHints.fire(),
+  });
+
+  const provider = vscode.languages.registerInlayHintsProvider(
+    [
+      { language: 'selfies' },
+      { language: 'javascript', pattern: '**/*.smiles.js' },
+    ],
+    {
+      onDidChangeInlayHints: onDidChangeInlayHints.event,
+
+      async provideInlayHints(document, range, token) {
+        if (!vscode.workspace.getConfiguration('selfies').get('inlayHints', true)) {
+          return [];
+        }
+
+        const molecules = await hintCache.getMolecules(document);
+        if (token.isCancellationRequested) {
+          return [];
+        }
+
+        return selectHints(molecules, range.start.line, range.end.line, document.lineCount)
+          .map((hint) => {
+            const inlayHint = new vscode.InlayHint(
+              document.lineAt(hint.line).range.end,
+              hint.label,
+            );
+            inlayHint.paddingLeft = true;
+            if (hint.tooltip) {
+              inlayHint.tooltip = hint.tooltip;
+            }
+            return inlayHint;
+          });
+      },
+    },
+  );
+
+  // Collect again once typing pauses
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    const { document } = event;
+    const supported = document.languageId === 'selfies' || document.fileName.endsWith('.smiles.js');
+    if (supported && event.contentChanges.length > 0) {
+      hintCache.scheduleRefresh(document);
+    }
+  });
+
+  // Listen for document close
+  const documentCloseListener = vscode.workspace.onDidCloseTextDocument(
+    (document) => hintCache.forget(document),
+  );
+
+  // Listen for the setting being toggled
+  const configurationListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('selfies.inlayHints')) {
+      onDidChangeInlayHints.fire();
+    }
+  });
+
+  return {
+    dispose: () => {
+      hintCache.dispose();
+      provider.dispose();
+      documentChangeListener.dispose();
+      documentCloseListener.dispose();
+      configurationListener.dispose();
+      onDidChangeInlayHints.dispose();
+    },
+  };
+}
+
+export { createInlayHintsProvider };
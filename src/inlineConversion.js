@@ -0,0 +1,154 @@
+import * as vscode from 'vscode';
+import { decode, loadWithImports, resolve } from 'selfies-js';
+import { encodeStructure } from './selfiesEncoding';
+import { isPlausibleSMILES, looksLikeSELFIES } from './chemicalStrings';
+
+const PASTE_KIND = vscode.DocumentDropOrPasteEditKind
+  ? vscode.DocumentDropOrPasteEditKind.Text.append('selfies')
+  : null;
+
+/**
+ * Expand `[fragment]` references in a .selfies document so the text decodes on its own
+ */
+function expandReferences(document, selfies) {
+  if (document.languageId !== 'selfies') {
+    return selfies;
+  }
+
+  let program;
+  try {
+    program = loadWithImports(document.getText(), document.uri.fsPath);
+  } catch (err) {
+    return selfies;
+  }
+  return selfies.replace(/\[([^\]]+)\]/g, (token, name) => (program.definitions.has(name)
+    ? resolve(program, name, { validateValence: false })
+    : token));
+}
+
+/**
+ * Replace every non-empty selection with the result of converting it
+ * @param {function(string, vscode.TextDocument): Promise<string>} convert - Throws to
+ *   leave a selection unchanged
+ */
+async function convertSelections(convert, label) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    vscode.window.showErrorMessage('No active editor');
+    return;
+  }
+
+  const selections = editor.selections.filter((selection) => !selection.isEmpty);
+  if (selections.length === 0) {
+    vscode.window.showErrorMessage(`Select the ${label} to convert`);
+    return;
+  }
+
+  const failures = [];
+  const replacements = [];
+  await selections.reduce(async (previous, selection) => {
+    await previous;
+    const selected = editor.document.getText(selection);
+    const text = selected.trim();
+    try {
+      // Whitespace selected around the string is kept
+      const [leading] = selected.match(/^\s*/);
+      const [trailing] = selected.match(/\s*$/);
+      const converted = await convert(text, editor.document);
+      replacements.push({ selection, text: `${leading}${converted}${trailing}` });
+    } catch (err) {
+      failures.push(`"${text}": ${err.message}`);
+    }
+  }, Promise.resolve());
+
+  if (replacements.length > 0) {
+    await editor.edit((editBuilder) => {
+      replacements.forEach(({ selection, text }) => editBuilder.replace(selection, text));
+    });
+  }
+  if (failures.length > 0) {
+    vscode.window.showErrorMessage(`Could not convert ${failures.join('; ')}`);
+  }
+}
+
+/**
+ * Replace the selected SMILES with SELFIES tokens
+ */
+export function convertSelectionToSelfies() {
+  return convertSelections(async (text) => {
+    if (!isPlausibleSMILES(text)) {
+      throw new Error('not a SMILES string');
+    }
+    const { selfies } = await encodeStructure({ smiles: text });
+    return selfies;
+  }, 'SMILES');
+}
+
+/**
+ * Replace the selected SELFIES with SMILES; in .selfies files fragment references
+ * in the selection are resolved first
+ */
+export function convertSelectionToSmiles() {
+  return convertSelections(async (text, document) => {
+    if (!looksLikeSELFIES(text)) {
+      throw new Error('not a SELFIES string');
+    }
+    const smiles = decode(expandReferences(document, text));
+    if (!smiles) {
+      throw new Error('decodes to an empty molecule');
+    }
+    return smiles;
+  }, 'SELFIES');
+}
+
+/**
+ * Create the paste provider that offers to insert pasted SMILES as SELFIES tokens
+ * in .selfies files, when selfies.pasteSmilesAsSelfies is enabled
+ *
+ * The plain-text paste stays the default; the SELFIES version is offered in the
+ * paste widget. Returns a no-op disposable on VS Code versions without paste edits.
+ *
+ * @returns {vscode.Disposable}
+ */
+export function createPasteProvider() {
+  if (!PASTE_KIND || !vscode.languages.registerDocumentPasteEditProvider) {
+    return new vscode.Disposable(() => {});
+  }
+
+  const provider = {
+    async provideDocumentPasteEdits(document, ranges, dataTransfer, context, token) {
+      if (!vscode.workspace.getConfiguration('selfies').get('pasteSmilesAsSelfies', false)) {
+        return undefined;
+      }
+
+      const item = dataTransfer.get('text/plain');
+      const text = item ? (await item.asString()).trim() : '';
+      if (!text || text.includes('\n') || looksLikeSELFIES(text) || !isPlausibleSMILES(text)) {
+        return undefined;
+      }
+
+      let selfies;
+      try {
+        ({ selfies } = await encodeStructure({ smiles: text }));
+      } catch (err) {
+        return undefined;
+      }
+      if (token.isCancellationRequested) {
+        return undefined;
+      }
+
+      const edit = new vscode.DocumentPasteEdit(selfies, 'Insert SMILES as SELFIES', PASTE_KIND);
+      edit.yieldTo = [vscode.DocumentDropOrPasteEditKind.Text];
+      return [edit];
+    },
+  };
+
+  return vscode.languages.registerDocumentPasteEditProvider(
+    { language: 'selfies' },
+    provider,
+    {
+      providedPasteEditKinds: [PASTE_KIND],
+      pasteMimeTypes: ['text/plain'],
+    },
+  );
+}
@@ -1,10 +1,11 @@
 /* eslint-disable no-underscore-dangle, class-methods-use-this */
 import * as vscode from 'vscode';
-import {
-  loadWithImports, resolve, decode, getMolecularWeight, getFormula,
-} from 'selfies-js';
-import * as fs from 'fs';
-import { pathToFileURL } from 'url';
+import { loadWithImports } from 'selfies-js';
+import { describeDefinition, describeSelfies, describeSmiles } from './moleculeInfo';
+import { evaluateSmilesDocument } from './moleculeCollector';
+import { parseSmilesModule, findDeclarationAt } from './smilesDeclarations';
+import { findChemicalStringAt } from './chemicalStrings';
+import { findBodyTokenAt, getTokenAtoms } from './atomOrigins';
 
 /**
  * Tracks the current cursor position and provides information about the current line
@@ -15,6 +16,7 @@ class LineTracker {
     this.onDidChangeCurrentLine = this._onDidChangeCurrentLine.event;
 
     this._currentLine = null;
+    this._currentCharacter = 0;
     this._currentDocument = null;
     this._parseResult = null;
 
@@ -31,12 +33,12 @@ class LineTracker {
       }
     });
 
-    // Helper function to check if file is supported
-    this._isSupportedFile = (document) => document.languageId === 'selfies'
+    // Helper functions to check if file is supported
+    this._isMoleculeFile = (document) => document.languageId === 'selfies'
                    || document.fileName.endsWith('.smiles.js');
-
-    // Cache for loaded smiles-js modules
-    this._smilesModuleCache = new Map();
+    this._isSupportedFile = (document) => this._isMoleculeFile(document)
+                   || (document.uri.scheme !== 'output'
+                     && vscode.workspace.getConfiguration('selfies').get('previewAnyFile', false));
 
     // Listen for active editor changes
     this._editorChangeListener = vscode.window.onDidChangeActiveTextEditor((editor) => {
@@ -50,6 +52,7 @@ class LineTracker {
         // Always update on editor change, even if line number is the same
         const position = editor.selections[0].active;
         this._currentLine = position.line;
+        this._currentCharacter = position.character;
         this._updateLineInfo();
       }
     });
@@ -76,10 +79,16 @@ class LineTracker {
 
     const position = event.selections[0].active;
     const lineNumber = position.line;
+    const previousTarget = this._getCursorTarget();
+    this._currentCharacter = position.character;
 
     if (this._currentLine !== lineNumber) {
       this._currentLine = lineNumber;
       this._updateLineInfo();
+    } else if (this._getCursorTarget() !== previousTarget) {
+      // Moved to another molecule on the same line, e.g. `const a = ..., b = ...`,
+      // or to another token of a SELFIES definition
+      this._updateLineInfo();
     }
   }
 
@@ -112,68 +121,83 @@ class LineTracker {
   }
 
   /**
-     * Load and get exports from a smiles-js file
-     * Returns { module, error } object
+     * Parse the current smiles-js document, reusing the result until it changes
      */
-  async _loadSmilesModule(filePath) {
-    // Check cache first
-    const cacheKey = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
-    if (this._smilesModuleCache.has(cacheKey)) {
-      return { module: this._smilesModuleCache.get(cacheKey), error: null };
+  _getSmilesDeclarations() {
+    if (!this._parseResult) {
+      this._parseResult = parseSmilesModule(this._currentDocument.getText());
     }
+    return this._parseResult;
+  }
 
-    try {
-      // Clear require cache to get fresh module
-      delete require.cache[require.resolve(filePath)];
-
-      // Use dynamic import for ES modules
-      const fileUrl = pathToFileURL(filePath).href;
-      const module = await import(`${fileUrl}?t=${Date.now()}`);
-
-      // Cache the result
-      this._smilesModuleCache.clear(); // Clear old cache
-      this._smilesModuleCache.set(cacheKey, module);
+  /**
+     * Find the top-level binding enclosing the cursor in a smiles-js document
+     * Falls back to the first non-whitespace character of the line, so a cursor in the
+     * indentation still selects the declaration on that line
+     */
+  _findDeclarationAtCursor() {
+    const document = this._currentDocument;
+    if (!document || this._currentLine === null || !document.fileName.endsWith('.smiles.js')) {
+      return null;
+    }
+    if (this._currentLine >= document.lineCount) {
+      return null;
+    }
 
-      return { module, error: null };
-    } catch (err) {
-      // Failed to load module, return the error with line number if available
-      this._smilesModuleCache.clear(); // Clear cache on error
-
-      // Try to extract line number from error stack or message
-      let errorMessage = err.message;
-      const lineMatch = err.stack?.match(/:(\d+):\d+/) || err.message?.match(/:(\d+):\d+/);
-      if (lineMatch) {
-        errorMessage = `Line ${lineMatch[1]}: ${err.message}`;
-      }
+    const { declarations } = this._getSmilesDeclarations();
+    const line = document.lineAt(this._currentLine);
+    const cursor = new vscode.Position(
+      this._currentLine,
+      Math.min(this._currentCharacter, line.text.length),
+    );
+    const lineStart = new vscode.Position(this._currentLine, line.firstNonWhitespaceCharacterIndex);
+    return findDeclarationAt(declarations, document.offsetAt(cursor))
+      || findDeclarationAt(declarations, document.offsetAt(lineStart));
+  }
 
-      return { module: null, error: errorMessage };
+  /**
+     * Find the SMILES or SELFIES string under the cursor in any other file
+     */
+  _findChemicalStringAtCursor() {
+    const document = this._currentDocument;
+    if (!document || this._currentLine === null || this._currentLine >= document.lineCount) {
+      return null;
     }
+    return findChemicalStringAt(
+      document.lineAt(this._currentLine).text,
+      this._currentLine,
+      this._currentCharacter,
+    );
   }
 
   /**
-     * Find the const declaration at a specific line
-     * Returns { name, needsExport, constPosition } or null
+     * Find the definition body token under the cursor in a .selfies document
      */
-  _findConstAtLine(text, lineNumber) {
-    const lines = text.split('\n');
-    const line = lines[lineNumber];
-
-    if (!line) return null;
-
-    // Match: export const NAME = ...
-    const exportMatch = line.match(/export\s+const\s+(\w+)\s*=/);
-    if (exportMatch) {
-      return { name: exportMatch[1], needsExport: false, constPosition: null };
+  _findBodyTokenAtCursor() {
+    const document = this._currentDocument;
+    if (!document || this._currentLine === null || this._currentLine >= document.lineCount) {
+      return null;
     }
+    return findBodyTokenAt(document.lineAt(this._currentLine).text, this._currentCharacter);
+  }
 
-    // Match: const NAME = ... (without export)
-    const constMatch = line.match(/^(\s*)const\s+(\w+)\s*=/);
-    if (constMatch) {
-      const leadingWhitespace = constMatch[1].length;
-      return { name: constMatch[2], needsExport: true, constPosition: leadingWhitespace };
+  /**
+     * Identify what the cursor is on within the current line, so moving the cursor
+     * along a line only updates the preview when it reaches another molecule or token
+     */
+  _getCursorTarget() {
+    if (!this._currentDocument) {
+      return null;
     }
-
-    return null;
+    if (this._currentDocument.fileName.endsWith('.smiles.js')) {
+      return this._findDeclarationAtCursor();
+    }
+    if (!this._isMoleculeFile(this._currentDocument)) {
+      const chemical = this._findChemicalStringAtCursor();
+      return chemical ? `${chemical.start}:${chemical.text}` : null;
+    }
+    const token = this._findBodyTokenAtCursor();
+    return token ? token.index : null;
   }
 
   /**
@@ -189,6 +213,24 @@ class LineTracker {
     try {
       const lineText = this._currentDocument.lineAt(this._currentLine).text.trim();
 
+      // Handle SMILES and SELFIES strings in any other file
+      if (!this._isMoleculeFile(this._currentDocument)) {
+        const chemical = this._findChemicalStringAtCursor();
+        if (!chemical) {
+          this._onDidChangeCurrentLine.fire(null);
+          return;
+        }
+
+        const isSelfies = chemical.kind === 'selfies';
+        this._onDidChangeCurrentLine.fire({
+          line: this._currentLine,
+          name: isSelfies ? 'SELFIES' : 'SMILES',
+          expression: chemical.text,
+          ...(isSelfies ? describeSelfies(chemical.text) : describeSmiles(chemical.text)),
+        });
+        return;
+      }
+
       // Handle smiles-js files
       if (isSmilesJS) {
         // Skip empty lines and comments
@@ -197,34 +239,34 @@ class LineTracker {
           return;
         }
 
-        // Find the const declaration at this line
-        const text = this._currentDocument.getText();
-        const constInfo = this._findConstAtLine(text, this._currentLine);
+        // Find the binding enclosing the cursor
+        const { error: syntaxError } = this._getSmilesDeclarations();
+        if (syntaxError) {
+          this._onDidChangeCurrentLine.fire({
+            line: this._currentLine,
+            expression: lineText,
+            error: `Line ${syntaxError.line + 1}: ${syntaxError.message}`,
+          });
+          return;
+        }
 
-        if (!constInfo) {
+        const declaration = this._findDeclarationAtCursor();
+        if (!declaration) {
           this._onDidChangeCurrentLine.fire(null);
           return;
         }
 
-        const { name: exportName, needsExport, constPosition } = constInfo;
-
-        // If export is missing, add it automatically
-        if (needsExport) {
-          const editor = vscode.window.activeTextEditor;
-          if (editor && editor.document === this._currentDocument) {
-            const insertPos = new vscode.Position(this._currentLine, constPosition);
-            await editor.edit((editBuilder) => {
-              editBuilder.insert(insertPos, 'export ');
-            });
-            await this._currentDocument.save();
-          }
+        // Evaluate the buffer, shared with the inlay hints and the grid; bindings that
+        // are not exported are exported for the evaluation under their own name
+        const exportName = declaration.exportName || declaration.name;
+        const {
+          fragments, error: loadError, cancelled,
+        } = await evaluateSmilesDocument(this._currentDocument);
+        if (cancelled) {
+          // The document changed; the newer version updates the preview
+          return;
         }
 
-        // Load the module and get the export
-        const { module, error: loadError } = await this._loadSmilesModule(
-          this._currentDocument.fileName,
-        );
-
         if (loadError) {
           this._onDidChangeCurrentLine.fire({
             line: this._currentLine,
@@ -235,15 +277,9 @@ class LineTracker {
           return;
         }
 
-        if (!module || !module[exportName]) {
-          this._onDidChangeCurrentLine.fire(null);
-          return;
-        }
-
-        const fragment = module[exportName];
-
-        // Check if it has the .smiles property (it's a Fragment)
-        if (!fragment.smiles) {
+        // Only exports with a .smiles property (Fragments) are returned
+        const fragment = fragments && fragments[exportName];
+        if (!fragment || !fragment.smiles) {
           this._onDidChangeCurrentLine.fire(null);
           return;
         }
@@ -293,47 +329,21 @@ class LineTracker {
         return;
       }
 
-      // Resolve the definition to get the full SELFIES string
-      let selfies = null;
-      let smiles = null;
-      let error = null;
-
-      try {
-        selfies = resolve(this._parseResult, definition.name, { validateValence: false });
-      } catch (err) {
-        error = err.message;
-      }
+      // Resolve the definition to get the full SELFIES string and properties
+      const {
+        selfies, smiles, molecularWeight, formula, error,
+      } = describeDefinition(this._parseResult, definition.name);
 
       if (!selfies) {
         this._onDidChangeCurrentLine.fire({
           line: this._currentLine,
           name: definition.name,
           expression: definition.tokens ? this._formatTokens(definition.tokens) : '',
-          error: error || 'Could not resolve definition',
+          error,
         });
         return;
       }
 
-      // Decode to SMILES
-      try {
-        smiles = decode(selfies);
-      } catch (err) {
-        error = err.message;
-      }
-
-      // Get molecular properties
-      let molecularWeight = null;
-      let formula = null;
-
-      if (selfies && !error) {
-        try {
-          molecularWeight = getMolecularWeight(selfies);
-          formula = getFormula(selfies);
-        } catch (err) {
-          // Properties might not be available
-        }
-      }
-
       const lineInfo = {
         line: this._currentLine,
         name: definition.name,
@@ -343,6 +353,7 @@ class LineTracker {
         molecularWeight,
         formula,
         error,
+        highlight: this._getTokenHighlight(definition.name),
       };
 
       this._onDidChangeCurrentLine.fire(lineInfo);
@@ -355,6 +366,25 @@ class LineTracker {
     }
   }
 
+  /**
+     * Atoms and bonds derived from the definition token under the cursor, in the
+     * atom order of the decoded SMILES, or null when there is nothing to highlight
+     */
+  _getTokenHighlight(name) {
+    const token = this._findBodyTokenAtCursor();
+    if (!token) {
+      return null;
+    }
+
+    try {
+      const { atoms, bonds } = getTokenAtoms(this._parseResult, name, token.index);
+      return atoms.length > 0 ? { atoms, bonds } : null;
+    } catch (err) {
+      // The definition failed to resolve; its error is already reported
+      return null;
+    }
+  }
+
   /**
      * Get information about the current line
      */
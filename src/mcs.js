@@ -0,0 +1,239 @@
+/**
+ * Maximum Common Substructure - Finds the largest connected substructure two molecules share
+ *
+ * The bundled RDKit build has no MCS support, so this is a small
+ * branch-and-bound search over molecule graphs. Atoms match on element and
+ * aromaticity, bonds on type; the substructure with the most bonds wins. The
+ * search is exact when it finishes within the time limit and otherwise returns
+ * the best match found so far.
+ *
+ * Graphs are { atoms: [{ element, aromatic }], bonds: [{ begin, end, type }] }
+ * with atom and bond indices matching the toolkit that produced them.
+ */
+
+import { Worker } from 'worker_threads';
+import * as path from 'path';
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+// Extra time for the worker to start and report before it is stopped
+const WORKER_GRACE_MS = 1000;
+
+/**
+ * Build per-atom neighbor lists and a bond lookup
+ */
+function indexGraph(graph) {
+  const neighbors = graph.atoms.map(() => []);
+  const bondIndex = new Map();
+  graph.bonds.forEach((bond, index) => {
+    neighbors[bond.begin].push(bond.end);
+    neighbors[bond.end].push(bond.begin);
+    bondIndex.set(`${bond.begin}-${bond.end}`, index);
+    bondIndex.set(`${bond.end}-${bond.begin}`, index);
+  });
+
+  return {
+    atoms: graph.atoms,
+    bonds: graph.bonds,
+    neighbors,
+    bondBetween: (x, y) => {
+      const index = bondIndex.get(`${x}-${y}`);
+      return index === undefined ? -1 : index;
+    },
+  };
+}
+
+function atomsMatch(atomA, atomB) {
+  return atomA.element === atomB.element && !!atomA.aromatic === !!atomB.aromatic;
+}
+
+/**
+ * Find the maximum common connected substructure of two molecule graphs
+ * @param {Object} graphA - First molecule graph
+ * @param {Object} graphB - Second molecule graph
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Stop searching after this long
+ * @returns {{atomsA: number[], atomsB: number[], bondsA: number[], bondsB: number[],
+ *   timedOut: boolean}} Matched atom indices are paired by position
+ */
+function findMaximumCommonSubstructure(graphA, graphB, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const a = indexGraph(graphA);
+  const b = indexGraph(graphB);
+  const deadline = Date.now() + timeoutMs;
+
+  const mapAB = a.atoms.map(() => -1);
+  const mapBA = b.atoms.map(() => -1);
+  const excluded = a.atoms.map(() => false);
+  const pairs = [];
+  let bondCount = 0;
+  let best = { pairs: [], bondCount: 0 };
+  let timedOut = false;
+
+  // Bonds from a newly mapped atom to mapped atoms that also exist in B
+  const matchingBonds = (atomA, atomB) => {
+    let count = 0;
+    a.neighbors[atomA].forEach((neighborA) => {
+      const neighborB = mapAB[neighborA];
+      if (neighborB === -1) return;
+      const bondB = b.bondBetween(atomB, neighborB);
+      if (bondB !== -1 && a.bonds[a.bondBetween(atomA, neighborA)].type === b.bonds[bondB].type) {
+        count += 1;
+      }
+    });
+    return count;
+  };
+
+  // Bonds that could still be matched, from either side
+  const upperBound = () => {
+    const remainingA = a.bonds.filter((bond) => (mapAB[bond.begin] === -1 || mapAB[bond.end] === -1)
+      && !excluded[bond.begin] && !excluded[bond.end]).length;
+    const remainingB = b.bonds
+      .filter((bond) => mapBA[bond.begin] === -1 || mapBA[bond.end] === -1).length;
+    return bondCount + Math.min(remainingA, remainingB);
+  };
+
+  // Next unmapped atom of A bonded to the current substructure
+  const nextFrontierAtom = () => {
+    for (let i = 0; i < pairs.length; i += 1) {
+      const next = a.neighbors[pairs[i][0]]
+        .find((neighbor) => mapAB[neighbor] === -1 && !excluded[neighbor]);
+      if (next !== undefined) return next;
+    }
+    return -1;
+  };
+
+  const map = (atomA, atomB) => {
+    mapAB[atomA] = atomB;
+    mapBA[atomB] = atomA;
+    pairs.push([atomA, atomB]);
+  };
+
+  const unmap = (atomA, atomB) => {
+    mapAB[atomA] = -1;
+    mapBA[atomB] = -1;
+    pairs.pop();
+  };
+
+  const search = () => {
+    if (bondCount > best.bondCount
+      || (bondCount === best.bondCount && pairs.length > best.pairs.length)) {
+      best = { pairs: pairs.slice(), bondCount };
+    }
+
+    if (Date.now() > deadline) {
+      timedOut = true;
+      return;
+    }
+
+    const atomA = nextFrontierAtom();
+    if (atomA === -1 || upperBound() <= best.bondCount) {
+      return;
+    }
+
+    // Map the frontier atom onto each compatible unmapped neighbor in B...
+    const candidates = new Set();
+    pairs.forEach(([mappedA, mappedB]) => {
+      if (a.bondBetween(atomA, mappedA) === -1) return;
+      b.neighbors[mappedB].forEach((neighborB) => {
+        if (mapBA[neighborB] === -1 && atomsMatch(a.atoms[atomA], b.atoms[neighborB])) {
+          candidates.add(neighborB);
+        }
+      });
+    });
+
+    candidates.forEach((atomB) => {
+      if (timedOut) return;
+      const added = matchingBonds(atomA, atomB);
+      if (added === 0) return;
+      map(atomA, atomB);
+      bondCount += added;
+      search();
+      bondCount -= added;
+      unmap(atomA, atomB);
+    });
+
+    // ...or leave it out of the substructure
+    if (!timedOut) {
+      excluded[atomA] = true;
+      search();
+      excluded[atomA] = false;
+    }
+  };
+
+  // Seed the search with every compatible atom pair; once an atom of A has been
+  // tried as a seed, any substructure containing it has been seen
+  for (let seedA = 0; seedA < a.atoms.length && !timedOut; seedA += 1) {
+    for (let seedB = 0; seedB < b.atoms.length && !timedOut; seedB += 1) {
+      if (atomsMatch(a.atoms[seedA], b.atoms[seedB])) {
+        map(seedA, seedB);
+        search();
+        unmap(seedA, seedB);
+      }
+    }
+    excluded[seedA] = true;
+  }
+
+  const atomsA = best.pairs.map(([atomA]) => atomA);
+  const atomsB = best.pairs.map(([, atomB]) => atomB);
+  const bondsA = [];
+  const bondsB = [];
+  for (let i = 0; i < best.pairs.length; i += 1) {
+    for (let j = i + 1; j < best.pairs.length; j += 1) {
+      const bondA = a.bondBetween(best.pairs[i][0], best.pairs[j][0]);
+      const bondB = b.bondBetween(best.pairs[i][1], best.pairs[j][1]);
+      if (bondA !== -1 && bondB !== -1 && a.bonds[bondA].type === b.bonds[bondB].type) {
+        bondsA.push(bondA);
+        bondsB.push(bondB);
+      }
+    }
+  }
+
+  return {
+    atomsA,
+    atomsB,
+    bondsA,
+    bondsB,
+    timedOut,
+  };
+}
+
+/**
+ * Run findMaximumCommonSubstructure in a worker thread
+ * @param {Object} graphA - First molecule graph
+ * @param {Object} graphB - Second molecule graph
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Stop searching after this long
+ * @returns {Promise<Object>} The same result, or an empty match with `timedOut`
+ *   set if the worker fails or does not report in time
+ */
+function findMaximumCommonSubstructureInWorker(graphA, graphB, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const noMatch = {
+    atomsA: [], atomsB: [], bondsA: [], bondsB: [], timedOut: true,
+  };
+
+  return new Promise((resolvePromise) => {
+    let settled = false;
+    let timer = null;
+
+    const worker = new Worker(path.join(__dirname, 'mcsWorker.js'), {
+      workerData: { graphA, graphB, options: { timeoutMs } },
+    });
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      resolvePromise(result);
+    };
+
+    timer = setTimeout(() => finish(noMatch), timeoutMs + WORKER_GRACE_MS);
+    worker.on('message', finish);
+    worker.on('error', () => finish(noMatch));
+    worker.on('exit', () => finish(noMatch));
+  });
+}
+
+export { findMaximumCommonSubstructure, findMaximumCommonSubstructureInWorker };
@@ -0,0 +1,12 @@
+/**
+ * Worker entry that runs the maximum common substructure search
+ *
+ * Runs inside a worker thread started by mcs.js, so a search that uses its
+ * whole time limit never blocks the extension host.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { findMaximumCommonSubstructure } from './mcs';
+
+const { graphA, graphB, options } = workerData;
+parentPort.postMessage(findMaximumCommonSubstructure(graphA, graphB, options));
@@ -0,0 +1,172 @@
+import * as vscode from 'vscode';
+import { loadWithImports } from 'selfies-js';
+import { describeDefinition } from './moleculeInfo';
+import { evaluateSmilesModule } from './smilesEvaluator';
+import { parseSmilesModule } from './smilesDeclarations';
+
+/**
+ * Collect the definitions of a .selfies document
+ */
+function collectSelfiesMolecules(document) {
+  let program;
+  try {
+    program = loadWithImports(document.getText(), document.uri.fsPath);
+  } catch (err) {
+    return { molecules: [], error: err.message };
+  }
+
+  // Imported definitions belong to other files
+  const molecules = Array.from(program.definitions.values())
+    .filter((definition) => !definition.importedFrom)
+    .sort((a, b) => a.line - b.line)
+    .map((definition) => ({
+      name: definition.name,
+      line: definition.line - 1,
+      endLine: definition.line - 1,
+      ...describeDefinition(program, definition.name),
+    }));
+
+  return { molecules, error: null };
+}
+
+// Evaluations shared by the preview, inlay hints and other features, one per document
+const MAX_EVALUATIONS = 8;
+const evaluations = new Map();
+
+/**
+ * Evaluate the current text of a .smiles.js document, exporting every
+ * top-level binding that is not exported already
+ *
+ * Callers asking for the same document version share one worker. Asking for a
+ * newer version cancels the evaluation of the older one, whose callers get
+ * `cancelled: true` and should drop the result.
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<{fragments: Object|null, error: string|null, cancelled?: boolean}>}
+ *   fragments maps each binding's export name (or name, if not exported) to its
+ *   evaluated Fragment data
+ */
+function evaluateSmilesDocument(document) {
+  const key = document.uri.toString();
+  const text = document.getText();
+  const cached = evaluations.get(key);
+  // Versions restart when a document is reopened, so the text is compared too
+  if (cached && cached.version === document.version && cached.text === text) {
+    return cached.result;
+  }
+  if (cached) {
+    cached.controller.abort();
+  }
+
+  const { declarations, error: syntaxError } = parseSmilesModule(text);
+  const controller = new AbortController();
+  let result;
+  if (syntaxError) {
+    result = Promise.resolve({
+      fragments: null,
+      error: `Line ${syntaxError.line + 1}: ${syntaxError.message}`,
+    });
+  } else {
+    const config = vscode.workspace.getConfiguration('selfies');
+    const exportNames = declarations
+      .filter((declaration) => !declaration.exportName)
+      .map((declaration) => declaration.name);
+    result = evaluateSmilesModule(document.fileName, {
+      source: document.isDirty || exportNames.length > 0 ? text : null,
+      exportNames,
+      timeoutMs: config.get('evaluation.timeout', 5000),
+      memoryLimitMb: config.get('evaluation.memoryLimitMb', 256),
+      signal: controller.signal,
+    });
+  }
+
+  evaluations.delete(key);
+  evaluations.set(key, {
+    version: document.version, text, result, controller,
+  });
+  if (evaluations.size > MAX_EVALUATIONS) {
+    evaluations.delete(evaluations.keys().next().value);
+  }
+  return result;
+}
+
+/**
+ * Collect the molecule-valued top-level bindings of a .smiles.js document
+ */
+async function collectSmilesJSMolecules(document) {
+  const { declarations, error: syntaxError } = parseSmilesModule(document.getText());
+  if (syntaxError) {
+    return { molecules: [], error: `Line ${syntaxError.line + 1}: ${syntaxError.message}` };
+  }
+
+  const { fragments, error, cancelled } = await evaluateSmilesDocument(document);
+  if (!fragments) {
+    return { molecules: [], error, cancelled };
+  }
+
+  // Bindings whose value is not a Fragment are left out
+  const molecules = declarations
+    .map((declaration) => ({
+      declaration,
+      fragment: fragments[declaration.exportName || declaration.name],
+    }))
+    .filter(({ fragment }) => fragment)
+    .map(({ declaration, fragment }) => ({
+      name: declaration.exportName || declaration.name,
+      line: declaration.line,
+      endLine: declaration.endLine,
+      selfies: null,
+      smiles: fragment.smiles,
+      formula: fragment.formula,
+      molecularWeight: fragment.molecularWeight,
+      error: null,
+    }));
+
+  return { molecules, error: null };
+}
+
+/**
+ * Collect every molecule defined in a .selfies or .smiles.js document, in source order
+ *
+ * Each molecule has the same properties as the preview's line info plus the 0-based
+ * `line` and `endLine` of its definition. A file-level failure (syntax error,
+ * evaluation error) is returned as `error` with no molecules; per-definition
+ * failures are kept on the molecule. `cancelled` is set when a newer version of
+ * the document was evaluated in the meantime.
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<{molecules: Object[], error: string|null, cancelled?: boolean}>}
+ */
+async function collectMolecules(document) {
+  if (document.fileName.endsWith('.smiles.js')) {
+    return collectSmilesJSMolecules(document);
+  }
+  return collectSelfiesMolecules(document);
+}
+
+/**
+ * Find one molecule of a .selfies or .smiles.js file by its definition or export name
+ * @param {vscode.Uri} uri
+ * @param {string} name
+ * @returns {Promise<{molecule: Object|null, error: string|null}>}
+ */
+async function findMolecule(uri, name) {
+  let document;
+  try {
+    document = await vscode.workspace.openTextDocument(uri);
+  } catch (err) {
+    return { molecule: null, error: err.message };
+  }
+
+  const { molecules, error } = await collectMolecules(document);
+  const molecule = molecules.find((candidate) => candidate.name === name);
+  if (!molecule) {
+    return { molecule: null, error: error || `"${name}" is not a molecule` };
+  }
+  if (!molecule.smiles || molecule.error) {
+    return { molecule: null, error: molecule.error || `"${name}" has no structure` };
+  }
+  return { molecule, error: null };
+}
+
+export { collectMolecules, findMolecule, evaluateSmilesDocument };
@@ -0,0 +1,169 @@
+import * as vscode from 'vscode';
+import { getMoleculeFormats } from './rdkitRenderer';
+import { encodeStructure } from './selfiesEncoding';
+import { collectMolecules } from './moleculeCollector';
+import { formatSdf, formatSdfRecord, setMolBlockTitle } from './sdf';
+
+/**
+ * Export formats for a single molecule; files are saved, identifiers copied
+ */
+const FORMATS = [
+  {
+    label: 'MOL File', description: '.mol', extension: 'mol', filter: 'MOL Files',
+  },
+  {
+    label: 'SD File', description: '.sdf', extension: 'sdf', filter: 'SD Files',
+  },
+  { label: 'InChI', description: 'Copy to clipboard', key: 'inchi' },
+  { label: 'InChIKey', description: 'Copy to clipboard', key: 'inchiKey' },
+  { label: 'Canonical SMILES', description: 'Copy to clipboard', key: 'canonicalSmiles' },
+];
+
+/**
+ * SD data items for a molecule
+ */
+function sdProperties(molecule) {
+  return {
+    Formula: molecule.formula,
+    MolecularWeight: typeof molecule.molecularWeight === 'number'
+      ? molecule.molecularWeight.toFixed(2)
+      : null,
+  };
+}
+
+/**
+ * Default save location: next to the active file, named after the molecule
+ */
+function defaultSaveUri(fileName) {
+  const editor = vscode.window.activeTextEditor;
+  if (editor && editor.document.uri.scheme === 'file') {
+    return vscode.Uri.joinPath(editor.document.uri, '..', fileName);
+  }
+  return vscode.Uri.file(fileName);
+}
+
+async function saveText(text, fileName, filters) {
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: defaultSaveUri(fileName),
+    filters,
+  });
+
+  if (uri) {
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(text, 'utf-8'));
+    vscode.window.showInformationMessage(`Saved to ${uri.fsPath}`);
+  }
+}
+
+/**
+ * Export one molecule as a MOL or SD file, or copy one of its identifiers
+ * @param {Object|null} molecule - { name, smiles, formula, molecularWeight }, as
+ *   shown in the preview
+ * @param {string} [extension] - 'mol' or 'sdf' to save without asking for a format
+ */
+export async function exportMolecule(molecule, extension) {
+  if (!molecule || !molecule.smiles || molecule.error) {
+    vscode.window.showErrorMessage('Move the cursor to a molecule definition to export it');
+    return;
+  }
+
+  const format = extension
+    ? FORMATS.find((candidate) => candidate.extension === extension)
+    : await vscode.window.showQuickPick(FORMATS, {
+      title: `Export ${molecule.name}`,
+      placeHolder: 'Select an export format',
+    });
+  if (!format) {
+    return;
+  }
+
+  try {
+    const formats = await getMoleculeFormats(molecule.smiles);
+
+    if (format.key) {
+      if (!formats[format.key]) {
+        vscode.window.showErrorMessage(`RDKit could not generate ${format.label} for ${molecule.name}`);
+        return;
+      }
+      await vscode.env.clipboard.writeText(formats[format.key]);
+      vscode.window.showInformationMessage(`Copied ${format.label} of ${molecule.name}`);
+      return;
+    }
+
+    const text = format.extension === 'sdf'
+      ? formatSdfRecord(formats.molBlock, molecule.name, sdProperties(molecule))
+      : setMolBlockTitle(formats.molBlock, molecule.name);
+    await saveText(text, `${molecule.name}.${format.extension}`, {
+      [format.filter]: [format.extension],
+    });
+  } catch (err) {
+    vscode.window.showErrorMessage(`Failed to export ${molecule.name}: ${err.message}`);
+  }
+}
+
+/**
+ * Copy the SMILES or SELFIES of a molecule to the clipboard
+ *
+ * Molecules from .smiles.js files have no SELFIES of their own; theirs is
+ * encoded on the fly and checked to decode back to the same structure.
+ *
+ * @param {Object} molecule - { name, smiles, selfies }
+ * @param {'smiles'|'selfies'} kind
+ */
+export async function copyMoleculeString(molecule, kind) {
+  let text = molecule[kind];
+  if (!text && kind === 'selfies') {
+    try {
+      ({ selfies: text } = await encodeStructure({ smiles: molecule.smiles }));
+    } catch (err) {
+      vscode.window.showErrorMessage(`Could not encode ${molecule.name} as SELFIES: ${err.message}`);
+      return;
+    }
+  }
+
+  const label = kind === 'selfies' ? 'SELFIES' : 'SMILES';
+  await vscode.env.clipboard.writeText(text);
+  vscode.window.showInformationMessage(`Copied ${label} of ${molecule.name}`);
+}
+
+/**
+ * Export every molecule of a .selfies or .smiles.js document to one SD file,
+ * titled with the definition names
+ * @param {vscode.TextDocument} document
+ */
+export async function exportAllMolecules(document) {
+  const { molecules, error } = await collectMolecules(document);
+  if (error) {
+    vscode.window.showErrorMessage(`Failed to export molecules: ${error}`);
+    return;
+  }
+
+  const records = [];
+  const failed = [];
+  await molecules.reduce(async (previous, molecule) => {
+    await previous;
+    if (!molecule.smiles || molecule.error) {
+      failed.push(molecule.name);
+      return;
+    }
+    try {
+      const { molBlock } = await getMoleculeFormats(molecule.smiles);
+      records.push({ molBlock, title: molecule.name, properties: sdProperties(molecule) });
+    } catch (err) {
+      failed.push(molecule.name);
+    }
+  }, Promise.resolve());
+
+  if (records.length === 0) {
+    vscode.window.showErrorMessage('No molecules in this file could be exported');
+    return;
+  }
+
+  const baseName = document.uri.path.split('/').pop().replace(/\.(selfies|smiles\.js)$/, '');
+  await saveText(formatSdf(records), `${baseName}.sdf`, { 'SD Files': ['sdf'] });
+
+  if (failed.length > 0) {
+    vscode.window.showWarningMessage(
+      `Skipped ${failed.length} molecule(s) that could not be converted: ${failed.join(', ')}`,
+    );
+  }
+}
@@ -0,0 +1,94 @@
+import {
+  resolve, decode, encode, getMolecularWeight, getFormula,
+} from 'selfies-js';
+
+/**
+ * Decode a SELFIES string and compute the properties shown by the preview
+ * @param {string} selfies - SELFIES string
+ * @returns {{selfies: string|null, smiles: string|null, formula: string|null,
+ *   molecularWeight: number|null, error: string|null}}
+ */
+export function describeSelfies(selfies) {
+  const info = {
+    selfies,
+    smiles: null,
+    formula: null,
+    molecularWeight: null,
+    error: null,
+  };
+
+  // Decode to SMILES
+  try {
+    info.smiles = decode(info.selfies);
+  } catch (err) {
+    info.error = err.message;
+    return info;
+  }
+
+  // Get molecular properties
+  try {
+    info.molecularWeight = getMolecularWeight(info.selfies);
+    info.formula = getFormula(info.selfies);
+  } catch (err) {
+    // Properties might not be available
+  }
+
+  return info;
+}
+
+/**
+ * Compute the properties shown by the preview for a SMILES string
+ *
+ * Formula and weight come from the SELFIES encoding; SMILES that cannot be
+ * encoded are still rendered, just without properties.
+ *
+ * @param {string} smiles - SMILES string
+ * @returns {{selfies: string|null, smiles: string, formula: string|null,
+ *   molecularWeight: number|null, error: string|null}}
+ */
+export function describeSmiles(smiles) {
+  let selfies;
+  try {
+    selfies = encode(smiles);
+  } catch (err) {
+    return {
+      selfies: null,
+      smiles,
+      formula: null,
+      molecularWeight: null,
+      error: null,
+    };
+  }
+
+  return { ...describeSelfies(selfies), smiles };
+}
+
+/**
+ * Resolve a definition and compute the properties shown by the preview
+ * @param {Object} program - Program from loadWithImports/parse
+ * @param {string} name - Definition name
+ * @returns {{selfies: string|null, smiles: string|null, formula: string|null,
+ *   molecularWeight: number|null, error: string|null}}
+ */
+export function describeDefinition(program, name) {
+  const failure = (error) => ({
+    selfies: null,
+    smiles: null,
+    formula: null,
+    molecularWeight: null,
+    error,
+  });
+
+  let selfies;
+  try {
+    selfies = resolve(program, name, { validateValence: false });
+  } catch (err) {
+    return failure(err.message);
+  }
+
+  if (!selfies) {
+    return failure('Could not resolve definition');
+  }
+
+  return describeSelfies(selfies);
+}
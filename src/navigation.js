@@ -0,0 +1,204 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import {
+  scanFragments, findNameAt, findDefinitionLocation, findNameConflict,
+} from './fragmentScanner';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Read the text of a file, preferring an open (possibly unsaved) document
+ * @param {vscode.Uri} uri
+ * @returns {Promise<string|null>}
+ */
+async function readText(uri) {
+  const openDocument = vscode.workspace.textDocuments
+    .find((document) => document.uri.toString() === uri.toString());
+  if (openDocument) {
+    return openDocument.getText();
+  }
+
+  try {
+    const bytes = await vscode.workspace.fs.readFile(uri);
+    return Buffer.from(bytes).toString('utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the fragment name under the cursor and where it is defined
+ * @returns {{token: Object, location: Object|null}|null}
+ */
+function getTarget(document, position) {
+  const line = document.lineAt(position.line).text;
+  const token = findNameAt(line, position.line, position.character);
+  if (!token) {
+    return null;
+  }
+
+  const location = findDefinitionLocation(token.name, document.uri.fsPath, document.getText());
+  return { token, location };
+}
+
+/**
+ * Range of the bare name inside a `[name]` token
+ */
+function nameRange(entry, bracketed) {
+  const offset = bracketed ? 1 : 0;
+  return new vscode.Range(entry.line, entry.start + offset, entry.line, entry.end - offset);
+}
+
+/**
+ * Find every occurrence of a fragment across the workspace .selfies files
+ * Only occurrences that resolve to the same definition are returned, so
+ * files that define their own fragment with the same name are left alone.
+ * @param {Object} target - Definition location from findDefinitionLocation
+ * @param {vscode.Uri} currentUri - URI of the document the request came from
+ * @returns {Promise<Array<{uri: vscode.Uri, range: vscode.Range, isDefinition: boolean}>>}
+ */
+async function findOccurrences(target, currentUri) {
+  const uris = await vscode.workspace.findFiles('**/*.selfies', '**/node_modules/**');
+  if (!uris.some((uri) => uri.toString() === currentUri.toString())) {
+    uris.push(currentUri);
+  }
+
+  const texts = await Promise.all(uris.map(readText));
+  const occurrences = [];
+
+  uris.forEach((uri, index) => {
+    const text = texts[index];
+    if (text === null) return;
+
+    const { definitions, tokens, imports } = scanFragments(text);
+    const entries = [
+      ...definitions
+        .filter((definition) => definition.name === target.name)
+        .map((definition) => ({ entry: definition, bracketed: true, isDefinition: true })),
+      ...tokens
+        .filter((token) => token.name === target.name)
+        .map((token) => ({ entry: token, bracketed: true, isDefinition: false })),
+      ...imports
+        .filter((importInfo) => importInfo.names !== '*')
+        .flatMap((importInfo) => importInfo.names)
+        .filter((entry) => entry.name === target.name)
+        .map((entry) => ({ entry, bracketed: false, isDefinition: false })),
+    ];
+
+    if (entries.length === 0) return;
+
+    // Make sure the name in this file resolves to the same definition
+    const location = findDefinitionLocation(target.name, uri.fsPath, text);
+    if (!location || location.filePath !== target.filePath || location.line !== target.line) {
+      return;
+    }
+
+    entries.forEach(({ entry, bracketed, isDefinition }) => {
+      const isTargetDefinition = isDefinition
+        && path.resolve(uri.fsPath) === target.filePath
+        && entry.line === target.line;
+      occurrences.push({
+        uri,
+        range: nameRange(entry, bracketed),
+        isDefinition: isTargetDefinition,
+      });
+    });
+  });
+
+  return occurrences;
+}
+
+/**
+ * Create Go to Definition, Find All References and Rename providers for
+ * fragments in .selfies files
+ * @returns {vscode.Disposable}
+ */
+function createNavigationProviders() {
+  const selector = { language: 'selfies' };
+
+  const definitionProvider = vscode.languages.registerDefinitionProvider(selector, {
+    provideDefinition(document, position) {
+      const target = getTarget(document, position);
+      if (!target || !target.location) {
+        return null;
+      }
+
+      const { location } = target;
+      return new vscode.Location(
+        vscode.Uri.file(location.filePath),
+        new vscode.Range(location.line, location.start, location.line, location.end),
+      );
+    },
+  });
+
+  const referenceProvider = vscode.languages.registerReferenceProvider(selector, {
+    async provideReferences(document, position, context) {
+      const target = getTarget(document, position);
+      if (!target || !target.location) {
+        return [];
+      }
+
+      const occurrences = await findOccurrences(target.location, document.uri);
+      return occurrences
+        .filter((occurrence) => context.includeDeclaration || !occurrence.isDefinition)
+        .map((occurrence) => new vscode.Location(occurrence.uri, occurrence.range));
+    },
+  });
+
+  const renameProvider = vscode.languages.registerRenameProvider(selector, {
+    prepareRename(document, position) {
+      const target = getTarget(document, position);
+      if (!target) {
+        throw new Error('Place the cursor on a fragment name to rename it');
+      }
+      if (!target.location) {
+        throw new Error(`'${target.token.name}' is not a defined fragment`);
+      }
+
+      const bracketed = document.lineAt(position.line).text[target.token.start] === '[';
+      return {
+        range: nameRange(target.token, bracketed),
+        placeholder: target.token.name,
+      };
+    },
+
+    async provideRenameEdits(document, position, newName) {
+      if (!NAME_PATTERN.test(newName)) {
+        throw new Error(`'${newName}' is not a valid fragment name`);
+      }
+
+      const target = getTarget(document, position);
+      if (!target || !target.location) {
+        return null;
+      }
+
+      // Every edited file must not resolve the new name already, locally or by import
+      const occurrences = await findOccurrences(target.location, document.uri);
+      const uris = Array.from(new Map(occurrences
+        .map((occurrence) => [occurrence.uri.toString(), occurrence.uri])).values());
+      const texts = await Promise.all(uris.map(readText));
+      const conflict = findNameConflict(newName, uris
+        .map((uri, index) => ({ filePath: uri.fsPath, text: texts[index] }))
+        .filter(({ text }) => text !== null));
+      if (conflict) {
+        throw new Error(`'${newName}' already refers to a fragment in ${path.basename(conflict)}`);
+      }
+
+      const edit = new vscode.WorkspaceEdit();
+      occurrences.forEach((occurrence) => {
+        edit.replace(occurrence.uri, occurrence.range, newName);
+      });
+      return edit;
+    },
+  });
+
+  return {
+    dispose: () => {
+      definitionProvider.dispose();
+      referenceProvider.dispose();
+      renameProvider.dispose();
+    },
+  };
+}
+
+export { createNavigationProviders, readText };
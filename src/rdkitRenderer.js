@@ -12,10 +12,29 @@ export async function initRDKit() {
   return RDKitModule;
 }
 
+/**
+ * Find the RDKit bond index for each [begin, end] atom pair, skipping pairs
+ * that are not bonded
+ */
+function bondIndices(mol, pairs) {
+  const molecule = JSON.parse(mol.get_json()).molecules[0];
+  const bondIndex = new Map();
+  (molecule.bonds || []).forEach((bond, index) => {
+    const [begin, end] = bond.atoms;
+    bondIndex.set(`${begin}-${end}`, index);
+    bondIndex.set(`${end}-${begin}`, index);
+  });
+  return pairs
+    .map(([begin, end]) => bondIndex.get(`${begin}-${end}`))
+    .filter((index) => index !== undefined);
+}
+
 /**
  * Generate SVG from SMILES using RDKit
  * @param {string} smiles - SMILES string
- * @param {object} options - Rendering options
+ * @param {object} options - Rendering options; highlight atom and bond indices
+ *   follow the RDKit molecule, colors map an index to [r, g, b] in 0..1.
+ *   highlightBondPairs names bonds by their two atom indices instead.
  * @returns {string} SVG string
  */
 export async function generateSVG(smiles, options = {}) {
@@ -25,6 +44,12 @@ export async function generateSVG(smiles, options = {}) {
     width = 500,
     height = 300,
     addStereoAnnotation = true,
+    addAtomIndices = false,
+    highlightAtoms = [],
+    highlightBonds = [],
+    highlightBondPairs = [],
+    highlightAtomColors = {},
+    highlightBondColors = {},
   } = options;
 
   let mol = null;
@@ -38,11 +63,20 @@ export async function generateSVG(smiles, options = {}) {
       throw new Error(`Invalid molecule for SMILES: ${smiles}`);
     }
 
+    const bonds = highlightBondPairs.length > 0
+      ? [...highlightBonds, ...bondIndices(mol, highlightBondPairs)]
+      : highlightBonds;
+
     // Generate SVG
     const svg = mol.get_svg_with_highlights(JSON.stringify({
       width,
       height,
       addStereoAnnotation,
+      addAtomIndices,
+      atoms: highlightAtoms,
+      bonds,
+      highlightAtomColors,
+      highlightBondColors,
     }));
 
     // console.log('[RDKit] Successfully rendered SMILES:', smiles);
@@ -77,3 +111,108 @@ export async function isValidSMILES(smiles) {
     }
   }
 }
+
+/**
+ * Run a callback with a parsed RDKit molecule, throwing for invalid SMILES
+ */
+async function withMolecule(smiles, callback) {
+  const rdkit = await initRDKit();
+
+  let mol = null;
+  try {
+    mol = rdkit.get_mol(smiles);
+    if (!mol || !mol.is_valid()) {
+      throw new Error(`Invalid molecule for SMILES: ${smiles}`);
+    }
+    return callback(mol, rdkit);
+  } finally {
+    if (mol) {
+      mol.delete();
+    }
+  }
+}
+
+/**
+ * Get the heavy-atom graph of a molecule, with RDKit atom and bond indices
+ * @param {string} smiles - SMILES string
+ * @returns {Promise<{atoms: Array<{element: number, aromatic: boolean}>,
+ *   bonds: Array<{begin: number, end: number, type: number|string}>}>}
+ *   Elements are atomic numbers; bond types are orders or 'aromatic'
+ */
+export async function getMoleculeGraph(smiles) {
+  return withMolecule(smiles, (mol) => {
+    const json = JSON.parse(mol.get_json());
+    const molecule = json.molecules[0];
+    const atomDefaults = json.defaults.atom;
+    const bondDefaults = json.defaults.bond;
+    const representation = (molecule.extensions || [])
+      .find((extension) => extension.name === 'rdkitRepresentation') || {};
+    const aromaticAtoms = new Set(representation.aromaticAtoms || []);
+    const aromaticBonds = new Set(representation.aromaticBonds || []);
+
+    return {
+      atoms: molecule.atoms.map((atom, index) => ({
+        element: atom.z !== undefined ? atom.z : atomDefaults.z,
+        aromatic: aromaticAtoms.has(index),
+      })),
+      bonds: (molecule.bonds || []).map((bond, index) => {
+        const order = bond.bo !== undefined ? bond.bo : bondDefaults.bo;
+        return {
+          begin: bond.atoms[0],
+          end: bond.atoms[1],
+          type: aromaticBonds.has(index) ? 'aromatic' : order,
+        };
+      }),
+    };
+  });
+}
+
+/**
+ * Compute RDKit descriptors for a molecule
+ * @param {string} smiles - SMILES string
+ * @returns {Promise<Object>} Descriptor values by RDKit name, e.g. NumRings, NumHeteroatoms
+ */
+export async function getDescriptors(smiles) {
+  return withMolecule(smiles, (mol) => JSON.parse(mol.get_descriptors()));
+}
+
+/**
+ * Get the net formal charge of a molecule
+ * @param {string} smiles - SMILES string
+ * @returns {Promise<number>} Sum of the atoms' formal charges
+ */
+export async function getFormalCharge(smiles) {
+  return withMolecule(smiles, (mol) => {
+    const json = JSON.parse(mol.get_json());
+    const defaultCharge = json.defaults.atom.chg || 0;
+    return json.molecules[0].atoms
+      .reduce((total, atom) => total + (atom.chg !== undefined ? atom.chg : defaultCharge), 0);
+  });
+}
+
+/**
+ * Convert a molecule to the formats used for registration and docking
+ * @param {string} smiles - SMILES string
+ * @returns {Promise<{molBlock: string, inchi: string, inchiKey: string,
+ *   canonicalSmiles: string}>} inchi and inchiKey are empty if InChI generation fails
+ */
+export async function getMoleculeFormats(smiles) {
+  return withMolecule(smiles, (mol, rdkit) => {
+    const inchi = mol.get_inchi();
+    return {
+      molBlock: mol.get_molblock(),
+      inchi,
+      inchiKey: inchi ? rdkit.get_inchikey_for_inchi(inchi) : '',
+      canonicalSmiles: mol.get_smiles(),
+    };
+  });
+}
+
+/**
+ * Get RDKit's canonical SMILES for a molecule
+ * @param {string} molecule - SMILES string or MOL block
+ * @returns {Promise<string>}
+ */
+export async function getCanonicalSmiles(molecule) {
+  return withMolecule(molecule, (mol) => mol.get_smiles());
+}
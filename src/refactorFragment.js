@@ -0,0 +1,231 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { findNameAt, scanFragments } from './fragmentScanner';
+import {
+  applyEdits, validateFragmentName, extractFragment, inlineFragment,
+} from './fragmentRefactoring';
+import { findResolutionChanges } from './selfiesFormatter';
+import { indexFiles, findImportersUsing } from './usageAnalysis';
+import { readText } from './navigation';
+
+/**
+ * Apply refactoring edits to the active editor if no existing definition
+ * resolves differently afterwards
+ * @param {string[]} ignore - Definitions added or removed on purpose
+ * @returns {Promise<boolean>} Whether the edits were applied
+ */
+async function applyVerified(editor, edits, ignore) {
+  const { document } = editor;
+  const original = document.getText();
+  const changed = findResolutionChanges(original, applyEdits(original, edits), document.uri.fsPath);
+  if (!changed) {
+    vscode.window.showErrorMessage('The file could not be parsed; fix its errors first');
+    return false;
+  }
+
+  const unexpected = changed.filter((name) => !ignore.includes(name));
+  if (unexpected.length > 0) {
+    vscode.window.showErrorMessage(
+      `Refactoring cancelled: it would change the resolved SELFIES of ${unexpected.join(', ')}`,
+    );
+    return false;
+  }
+
+  return editor.edit((editBuilder) => {
+    edits.forEach((edit) => {
+      editBuilder.replace(
+        new vscode.Range(
+          edit.start.line,
+          edit.start.character,
+          edit.end.line,
+          edit.end.character,
+        ),
+        edit.text,
+      );
+    });
+  });
+}
+
+/**
+ * Find the workspace files that use a fragment of a document through imports
+ * @returns {Promise<string[]>} Workspace-relative paths
+ */
+async function findImportingUsers(document, name) {
+  const uris = await vscode.workspace.findFiles('**/*.selfies', '**/node_modules/**');
+  const texts = await Promise.all(uris.map(readText));
+  const files = new Map();
+  uris.forEach((uri, index) => {
+    if (texts[index] !== null) {
+      files.set(path.resolve(uri.fsPath), texts[index]);
+    }
+  });
+  files.set(path.resolve(document.uri.fsPath), document.getText());
+
+  return findImportersUsing(indexFiles(files), document.uri.fsPath, name)
+    .map((filePath) => vscode.workspace.asRelativePath(filePath));
+}
+
+function getSelfiesEditor() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.languageId !== 'selfies') {
+    vscode.window.showErrorMessage('This command only works in .selfies files');
+    return null;
+  }
+  return editor;
+}
+
+/**
+ * Move the selected tokens into a new fragment and reference it from every
+ * definition of the file that contains the same tokens
+ */
+export async function extractSelectionToFragment() {
+  const editor = getSelfiesEditor();
+  if (!editor) {
+    return;
+  }
+
+  const { document, selection } = editor;
+  if (selection.isEmpty || !selection.isSingleLine) {
+    vscode.window.showErrorMessage('Select tokens in the body of a definition');
+    return;
+  }
+
+  const text = document.getText();
+  const name = await vscode.window.showInputBox({
+    title: 'Extract Fragment',
+    prompt: `Name for ${document.getText(selection).trim()}`,
+    validateInput: (value) => validateFragmentName(text, value.trim()),
+  });
+  if (!name) {
+    return;
+  }
+
+  let result;
+  try {
+    result = extractFragment(text, {
+      line: selection.start.line,
+      start: selection.start.character,
+      end: selection.end.character,
+    }, name.trim());
+  } catch (err) {
+    vscode.window.showErrorMessage(err.message);
+    return;
+  }
+
+  if (await applyVerified(editor, result.edits, [name.trim()])) {
+    vscode.window.showInformationMessage(
+      `Extracted [${name.trim()}] and replaced ${result.replaced} occurrence(s)`,
+    );
+  }
+}
+
+/**
+ * Replace every reference to a fragment in the file with its tokens, and
+ * optionally delete its definition
+ * @param {string} [name] - Fragment to inline; defaults to the one at the cursor
+ */
+export async function inlineFragmentAtCursor(name) {
+  const editor = getSelfiesEditor();
+  if (!editor) {
+    return;
+  }
+
+  const { document } = editor;
+  const position = editor.selection.active;
+  const target = typeof name === 'string'
+    ? name
+    : findNameAt(document.lineAt(position.line).text, position.line, position.character)?.name;
+  if (!target) {
+    vscode.window.showErrorMessage('Place the cursor on a fragment to inline it');
+    return;
+  }
+
+  const choice = await vscode.window.showQuickPick([
+    { label: 'Inline and keep the definition', removeDefinition: false },
+    { label: 'Inline and delete the definition', removeDefinition: true },
+  ], { title: `Inline [${target}]` });
+  if (!choice) {
+    return;
+  }
+
+  // Other files importing the fragment still need its definition
+  let { removeDefinition } = choice;
+  if (removeDefinition) {
+    const users = await findImportingUsers(document, target);
+    if (users.length > 0) {
+      const keep = 'Inline and Keep the Definition';
+      const answer = await vscode.window.showWarningMessage(
+        `[${target}] cannot be deleted: it is used by ${users.join(', ')}`,
+        { modal: true },
+        keep,
+      );
+      if (answer !== keep) {
+        return;
+      }
+      removeDefinition = false;
+    }
+  }
+
+  let result;
+  try {
+    result = inlineFragment(document.getText(), target, { removeDefinition });
+  } catch (err) {
+    vscode.window.showErrorMessage(err.message);
+    return;
+  }
+
+  const ignore = removeDefinition ? [target] : [];
+  if (await applyVerified(editor, result.edits, ignore)) {
+    vscode.window.showInformationMessage(`Inlined ${result.replaced} reference(s) to [${target}]`);
+  }
+}
+
+/**
+ * Create a code action provider offering Extract Fragment for selected tokens
+ * and Inline Fragment for a reference to a fragment defined in the file
+ * @returns {vscode.Disposable}
+ */
+export function createFragmentRefactorProvider() {
+  return vscode.languages.registerCodeActionsProvider(
+    { language: 'selfies' },
+    {
+      provideCodeActions(document, range) {
+        const actions = [];
+        const line = document.lineAt(range.start.line).text;
+
+        if (!range.isEmpty && range.isSingleLine && /^\s*\[[^\]]+\]\s*=/.test(line)) {
+          const extract = new vscode.CodeAction(
+            'Extract selection to new fragment',
+            vscode.CodeActionKind.RefactorExtract,
+          );
+          extract.command = { command: 'selfies.extractFragment', title: extract.title };
+          actions.push(extract);
+        }
+
+        const token = findNameAt(line, range.start.line, range.start.character);
+        const isLocal = token && scanFragments(document.getText()).definitions
+          .some((definition) => definition.name === token.name);
+        if (isLocal) {
+          const inline = new vscode.CodeAction(
+            `Inline fragment [${token.name}]`,
+            vscode.CodeActionKind.RefactorInline,
+          );
+          inline.command = {
+            command: 'selfies.inlineFragment',
+            title: inline.title,
+            arguments: [token.name],
+          };
+          actions.push(inline);
+        }
+
+        return actions;
+      },
+    },
+    {
+      providedCodeActionKinds: [
+        vscode.CodeActionKind.RefactorExtract,
+        vscode.CodeActionKind.RefactorInline,
+      ],
+    },
+  );
+}
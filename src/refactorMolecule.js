@@ -1,39 +1,11 @@
 import * as vscode from 'vscode';
-import { pathToFileURL } from 'url';
-
-/**
- * Find the export name at a specific line
- * Returns { name, needsExport, constPosition } where:
- * - name: the variable name
- * - needsExport: true if 'export' keyword is missing
- * - constPosition: character position of 'const' keyword (for inserting 'export ')
- */
-function findExportAtLine(text, lineNumber) {
-  const lines = text.split('\n');
-  const line = lines[lineNumber];
-
-  if (!line) return null;
-
-  // Match: export const NAME = ...
-  const exportMatch = line.match(/export\s+const\s+(\w+)\s*=/);
-  if (exportMatch) {
-    return { name: exportMatch[1], needsExport: false, constPosition: null };
-  }
-
-  // Match: const NAME = ... (without export)
-  const constMatch = line.match(/^(\s*)const\s+(\w+)\s*=/);
-  if (constMatch) {
-    const leadingWhitespace = constMatch[1].length;
-    return { name: constMatch[2], needsExport: true, constPosition: leadingWhitespace };
-  }
-
-  return null;
-}
+import { evaluateSmilesModule } from './smilesEvaluator';
+import { parseSmilesModule, findDeclarationAt } from './smilesDeclarations';
 
 /**
  * Extract which constructors are used in the generated code
  */
-function extractUsedConstructors(code) {
+export function extractUsedConstructors(code) {
   const constructors = ['Ring', 'Linear', 'FusedRing', 'Molecule'];
   return constructors.filter((c) => code.includes(`${c}(`));
 }
@@ -86,23 +58,31 @@ function generateImportStatement(needed, existing) {
 }
 
 /**
- * Load a module dynamically with cache busting
+ * Evaluate the current text of a document in a worker and generate code for one of its
+ * bindings, exporting it on the fly if needed
  */
-async function loadModule(filePath) {
-  try {
-    const fileUrl = pathToFileURL(filePath).href;
-    const module = await import(`${fileUrl}?t=${Date.now()}`);
-    return module;
-  } catch (err) {
-    return null;
-  }
+async function loadFragment(document, declaration) {
+  const exportName = declaration.exportName || declaration.name;
+  const config = vscode.workspace.getConfiguration('selfies');
+  const { fragments, error } = await evaluateSmilesModule(document.fileName, {
+    source: document.getText(),
+    exportNames: declaration.exportName ? [] : [declaration.name],
+    codeFor: [exportName],
+    timeoutMs: config.get('evaluation.timeout', 5000),
+    memoryLimitMb: config.get('evaluation.memoryLimitMb', 256),
+  });
+  return { fragment: fragments ? fragments[exportName] : null, error };
 }
 
 /**
- * Refactor the molecule on the current line to constructor code
+ * Refactor a molecule declaration to constructor code
+ * @param {vscode.Uri} [uri] - Document to refactor in, shown in an editor if needed
+ * @param {string} [name] - Binding or export name; defaults to the declaration at the cursor
  */
-export async function refactorMolecule() {
-  const editor = vscode.window.activeTextEditor;
+export async function refactorMolecule(uri, name) {
+  const editor = uri
+    ? await vscode.window.showTextDocument(uri)
+    : vscode.window.activeTextEditor;
   if (!editor) {
     vscode.window.showErrorMessage('No active editor');
     return;
@@ -114,62 +94,47 @@ export async function refactorMolecule() {
     return;
   }
 
-  const lineNumber = editor.selection.active.line;
-  let text = document.getText();
-  const exportInfo = findExportAtLine(text, lineNumber);
-
-  if (!exportInfo) {
-    vscode.window.showErrorMessage('No const declaration found on the current line');
+  const text = document.getText();
+  const { declarations, error: syntaxError } = parseSmilesModule(text);
+  if (syntaxError) {
+    vscode.window.showErrorMessage(`Line ${syntaxError.line + 1}: ${syntaxError.message}`);
     return;
   }
 
-  const { name: exportName, needsExport, constPosition } = exportInfo;
-
-  // If export keyword is missing, add it first
-  if (needsExport) {
-    const insertPos = new vscode.Position(lineNumber, constPosition);
-    await editor.edit((editBuilder) => {
-      editBuilder.insert(insertPos, 'export ');
-    });
-    // Save and reload text after adding export
-    await document.save();
-    text = document.getText();
-  } else {
-    // Save the document first to ensure the module is up to date
-    await document.save();
-  }
-
-  // Load the module
-  const module = await loadModule(document.fileName);
-  if (!module || !module[exportName]) {
-    vscode.window.showErrorMessage(`Could not load export "${exportName}"`);
+  const declaration = name
+    ? declarations.find((candidate) => (candidate.exportName || candidate.name) === name)
+    : findDeclarationAt(declarations, document.offsetAt(editor.selection.active));
+  if (!declaration) {
+    vscode.window.showErrorMessage(name
+      ? `No declaration named "${name}" found`
+      : 'No declaration found at the cursor');
     return;
   }
 
-  const fragment = module[exportName];
+  const exportName = declaration.exportName || declaration.name;
 
-  // Check if fragment has toCode method
-  if (typeof fragment.toCode !== 'function') {
-    vscode.window.showErrorMessage(`Export "${exportName}" does not have a toCode() method`);
+  // Evaluate the buffer as it is, so neither saving nor an export keyword is required
+  const { fragment, error } = await loadFragment(document, declaration);
+  if (!fragment) {
+    const reason = error ? `: ${error}` : '';
+    vscode.window.showErrorMessage(`Could not load export "${exportName}"${reason}`);
     return;
   }
 
-  // Generate the code
-  let code;
-  try {
-    code = fragment.toCode(exportName);
-  } catch (err) {
-    vscode.window.showErrorMessage(`Failed to generate code: ${err.message}`);
+  if (fragment.codeError) {
+    vscode.window.showErrorMessage(fragment.codeError);
     return;
   }
 
+  const { code } = fragment;
+
   // Check which constructors are used and which need to be imported
   const usedConstructors = extractUsedConstructors(code);
   const existingImports = getExistingImports(text);
   const importStatement = generateImportStatement(usedConstructors, existingImports);
 
-  // Find positions for insertions
-  const codeInsertPosition = new vscode.Position(lineNumber + 1, 0);
+  // Find positions for insertions, after the whole declaration statement
+  const codeInsertPosition = new vscode.Position(declaration.endLine + 1, 0);
   const importInsertPosition = new vscode.Position(findImportInsertPosition(text), 0);
 
   // Insert the generated code and import statement
@@ -179,7 +144,7 @@ export async function refactorMolecule() {
       editBuilder.insert(importInsertPosition, importStatement);
     }
 
-    // Add the generated code after current line
+    // Add the generated code after the declaration
     const codeToInsert = `\n// Refactored from ${exportName}:\n${code}\n`;
     editBuilder.insert(codeInsertPosition, codeToInsert);
   });
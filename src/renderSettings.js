@@ -0,0 +1,38 @@
+import * as vscode from 'vscode';
+import { DESCRIPTOR_IDS } from './descriptors';
+
+/**
+ * Configuration sections that affect how molecules are rendered
+ */
+const RENDER_SETTING_SECTIONS = [
+  'selfies.renderingEngine',
+  'selfies.rendering',
+  'selfies.rdkit',
+  'selfies.descriptors',
+];
+
+/**
+ * Read the molecule rendering settings
+ * @returns {{engine: string, width: number, height: number,
+ *   addStereoAnnotation: boolean, addAtomIndices: boolean, descriptors: string[]}}
+ */
+export function getRenderSettings() {
+  const config = vscode.workspace.getConfiguration('selfies');
+  return {
+    engine: config.get('renderingEngine', 'rdkit'),
+    width: config.get('rendering.width', 500),
+    height: config.get('rendering.height', 300),
+    addStereoAnnotation: config.get('rdkit.addStereoAnnotation', true),
+    addAtomIndices: config.get('rdkit.addAtomIndices', false),
+    descriptors: config.get('descriptors', DESCRIPTOR_IDS),
+  };
+}
+
+/**
+ * Check whether a configuration change affects rendering
+ * @param {vscode.ConfigurationChangeEvent} event
+ * @returns {boolean}
+ */
+export function affectsRenderSettings(event) {
+  return RENDER_SETTING_SECTIONS.some((section) => event.affectsConfiguration(section));
+}
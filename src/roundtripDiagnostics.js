@@ -7,64 +7,7 @@
 
 import * as vscode from 'vscode';
 import { validateRoundTrip } from 'smiles-js';
-
-/**
- * Check if a line contains a SMILES string
- * @param {string} line - Line of text
- * @returns {boolean}
- */
-function looksLikeSMILES(line) {
-  // SMILES patterns: contains typical SMILES characters and structure
-  const smilesPattern = /[CNOPSFClBrI[\]()=@#\\/+-]/;
-  const hasRingNumbers = /\d/;
-  const hasBonds = /[=#]/;
-
-  return smilesPattern.test(line) && (hasRingNumbers.test(line) || hasBonds.test(line));
-}
-
-/**
- * Extract SMILES strings from a line
- * @param {string} line - Line of text
- * @param {number} lineNumber - Line number (0-indexed)
- * @returns {Array<{smiles: string, start: number, end: number, line: number}>}
- */
-function extractSMILESFromLine(line, lineNumber) {
-  const smilesList = [];
-
-  // Pattern 1: String literals ('...' or "...")
-  const stringLiteralPattern = /(['"])(.*?)\1/g;
-  let match = stringLiteralPattern.exec(line);
-
-  while (match !== null) {
-    const potentialSMILES = match[2];
-    if (looksLikeSMILES(potentialSMILES)) {
-      smilesList.push({
-        smiles: potentialSMILES,
-        start: match.index + 1, // +1 to skip quote
-        end: match.index + match[0].length - 1, // -1 to skip closing quote
-        line: lineNumber,
-      });
-    }
-    match = stringLiteralPattern.exec(line);
-  }
-
-  // Pattern 2: SELFIES "smiles" field
-  const smilesFieldPattern = /smiles\s*:\s*(['"])(.*?)\1/g;
-  let match2 = smilesFieldPattern.exec(line);
-  while (match2 !== null) {
-    const smiles = match2[2];
-    const start = match2.index + match2[0].indexOf(match2[1]) + 1;
-    smilesList.push({
-      smiles,
-      start,
-      end: start + smiles.length,
-      line: lineNumber,
-    });
-    match2 = smilesFieldPattern.exec(line);
-  }
-
-  return smilesList;
-}
+import { extractSMILESFromLine } from './chemicalStrings';
 
 /**
  * Create round-trip validation diagnostics for a document
@@ -0,0 +1,51 @@
+/**
+ * SDF - Builds MOL blocks and multi-record SD files
+ *
+ * MOL blocks come from RDKit; this only sets their title line and appends SD
+ * data items, following the CTfile format.
+ */
+
+/**
+ * Replace the title (first) line of a MOL block
+ * @param {string} molBlock - MOL block from RDKit
+ * @param {string} title - Molecule name; newlines are not allowed in the title line
+ * @returns {string}
+ */
+function setMolBlockTitle(molBlock, title) {
+  const lines = molBlock.split('\n');
+  lines[0] = title.replace(/[\r\n]+/g, ' ');
+  return lines.join('\n');
+}
+
+/**
+ * Format one SD record: MOL block, data items, then the $$$$ delimiter
+ * @param {string} molBlock - MOL block from RDKit
+ * @param {string} title - Molecule name
+ * @param {Object<string, string|number>} [properties] - SD data items; empty values are skipped
+ * @returns {string}
+ */
+function formatSdfRecord(molBlock, title, properties = {}) {
+  const block = setMolBlockTitle(molBlock, title).replace(/\n*$/, '\n');
+  const items = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `> <${key}>\n${value}\n\n`)
+    .join('');
+  return `${block}${items}$$$$\n`;
+}
+
+/**
+ * Join SD records into one SD file
+ * @param {Array<{molBlock: string, title: string, properties?: Object}>} records
+ * @returns {string}
+ */
+function formatSdf(records) {
+  return records
+    .map(({ molBlock, title, properties }) => formatSdfRecord(molBlock, title, properties))
+    .join('');
+}
+
+export {
+  setMolBlockTitle,
+  formatSdfRecord,
+  formatSdf,
+};
@@ -0,0 +1,49 @@
+import { encode, decode } from 'selfies-js';
+import { getCanonicalSmiles } from './rdkitRenderer';
+
+/**
+ * Encode a structure to SELFIES, checking that decoding gives back the same molecule
+ *
+ * The selfies-js encoder drops what it cannot represent (stereochemistry,
+ * charges, some ring closures) without complaint, so every encoding is decoded
+ * again and compared with the input through RDKit canonical SMILES.
+ *
+ * @param {{smiles?: string, molBlock?: string}} record - The structure, as SMILES or MOL block
+ * @returns {Promise<{smiles: string, selfies: string}>} smiles is the input SMILES, or
+ *   RDKit's canonical SMILES for a MOL block or when only that encodes faithfully
+ * @throws {Error} Describing why the structure cannot be encoded
+ */
+export async function encodeStructure(record) {
+  let canonical;
+  try {
+    canonical = await getCanonicalSmiles(record.molBlock || record.smiles);
+  } catch (err) {
+    throw new Error(record.molBlock
+      ? 'RDKit could not read the MOL block'
+      : `Invalid SMILES "${record.smiles}"`);
+  }
+
+  // The encoder handles some spellings of a structure better than others, so
+  // fall back to RDKit's canonical SMILES when the file's SMILES does not survive
+  const candidates = [...new Set([record.smiles, canonical].filter(Boolean))];
+  let lastError = null;
+  const encoded = await candidates.reduce(async (previous, smiles) => {
+    const found = await previous;
+    if (found) return found;
+    try {
+      const selfies = encode(smiles);
+      if (await getCanonicalSmiles(decode(selfies)) === canonical) {
+        return { smiles, selfies };
+      }
+      lastError = new Error(`SELFIES encoding does not reproduce "${record.smiles || canonical}"`);
+    } catch (err) {
+      lastError = new Error(`SELFIES encoding failed: ${err.message}`);
+    }
+    return null;
+  }, Promise.resolve(null));
+
+  if (!encoded) {
+    throw lastError;
+  }
+  return encoded;
+}
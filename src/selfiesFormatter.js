@@ -0,0 +1,194 @@
+/**
+ * SELFIES Formatter - Normalizes the layout of .selfies source
+ *
+ * Works line by line: definitions get one space around `=` and no whitespace
+ * between body tokens, imports get canonical spacing and double quotes, and
+ * comments (including `# region` markers) are kept as written. Lines the
+ * formatter does not recognize only lose trailing whitespace.
+ *
+ * Formatting must never change what a definition resolves to, so callers
+ * check the result with findResolutionChanges before applying it.
+ */
+
+import { loadWithImports, parse, resolve } from 'selfies-js';
+import { findCommentStart } from './fragmentScanner';
+
+const DEFINITION = /^\s*\[([^\]]+)\]\s*=\s*(.*)$/;
+const IMPORT_WITH_NAMES = /^\s*import\s*\[([^\]]*)\]\s*from\s*(['"])([^'"]*)\2\s*$/;
+const IMPORT_ALL_FROM = /^\s*import\s+\*\s*from\s*(['"])([^'"]*)\1\s*$/;
+const IMPORT_SIMPLE = /^\s*import\s*(['"])([^'"]*)\1\s*$/;
+const BODY_UNIT = /\s*(?:(\[[^\]]*\])|repeat\s*\(((?:\s*\[[^\]]*\])+)\s*,\s*(\d+)\s*\))/y;
+
+/**
+ * Write a body without whitespace between tokens, or return null when it
+ * contains anything other than bracket tokens and repeat() calls
+ */
+function formatBody(body) {
+  const units = [];
+  const pattern = new RegExp(BODY_UNIT.source, 'y');
+  let match = pattern.exec(body);
+  while (match) {
+    units.push(match[1] || `repeat(${match[2].replace(/\s+/g, '')}, ${match[3]})`);
+    if (pattern.lastIndex === body.length) {
+      return units.join('');
+    }
+    match = pattern.exec(body);
+  }
+  return body.trim() === '' ? '' : null;
+}
+
+function formatImport(code) {
+  let match = code.match(IMPORT_WITH_NAMES);
+  if (match) {
+    const names = match[1].split(',').map((name) => name.trim()).filter(Boolean);
+    return `import [${names.join(', ')}] from "${match[3]}"`;
+  }
+  match = code.match(IMPORT_ALL_FROM);
+  if (match) {
+    return `import * from "${match[2]}"`;
+  }
+  match = code.match(IMPORT_SIMPLE);
+  if (match) {
+    return `import "${match[2]}"`;
+  }
+  return null;
+}
+
+/**
+ * Split a line into its code and comment, and classify the code
+ */
+function analyzeLine(line) {
+  const commentStart = findCommentStart(line);
+  const code = line.slice(0, commentStart).trim();
+  const comment = line.slice(commentStart).trimEnd();
+
+  if (!code) {
+    return { kind: comment ? 'comment' : 'blank', text: line.trimEnd() };
+  }
+
+  const definition = code.match(DEFINITION);
+  if (definition) {
+    const body = formatBody(definition[2]);
+    if (body !== null) {
+      return {
+        kind: 'definition', name: definition[1], body, comment,
+      };
+    }
+  }
+
+  const formatted = /^import\b/.test(code) ? formatImport(code) : null;
+  return { kind: 'code', text: formatted || code, comment };
+}
+
+function withComment(code, comment) {
+  return comment ? `${code}  ${comment}` : code;
+}
+
+/**
+ * Format .selfies source
+ * @param {string} text - Source to format
+ * @param {Object} [options]
+ * @param {boolean} [options.alignEquals=false] - Align `=` across consecutive definitions
+ * @param {boolean} [options.wholeDocument=true] - Drop leading blank lines and end with
+ *   exactly one newline; off when formatting a range of lines
+ * @returns {string}
+ */
+function formatSelfies(text, options = {}) {
+  const { alignEquals = false, wholeDocument = true } = options;
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r?\n/).map(analyzeLine);
+
+  // Widest `[name]` of each run of consecutive definitions
+  const widths = new Array(lines.length).fill(0);
+  if (alignEquals) {
+    let runStart = 0;
+    lines.forEach((line, index) => {
+      if (line.kind !== 'definition') {
+        runStart = index + 1;
+        return;
+      }
+      const next = lines[index + 1];
+      if (!next || next.kind !== 'definition') {
+        const run = lines.slice(runStart, index + 1);
+        const width = Math.max(...run.map((entry) => entry.name.length + 2));
+        widths.fill(width, runStart, index + 1);
+      }
+    });
+  }
+
+  const output = [];
+  lines.forEach((line, index) => {
+    if (line.kind === 'blank') {
+      // At most one blank line in a row
+      if (output.length > 0 && output[output.length - 1] === '') return;
+      if (wholeDocument && output.length === 0) return;
+      output.push('');
+    } else if (line.kind === 'definition') {
+      const head = `[${line.name}]`.padEnd(widths[index]);
+      output.push(withComment(`${head} = ${line.body}`.trimEnd(), line.comment));
+    } else if (line.kind === 'comment') {
+      output.push(line.text);
+    } else {
+      output.push(withComment(line.text, line.comment));
+    }
+  });
+
+  if (wholeDocument) {
+    while (output.length > 0 && output[output.length - 1] === '') {
+      output.pop();
+    }
+    return output.length > 0 ? `${output.join(eol)}${eol}` : '';
+  }
+  return output.join(eol);
+}
+
+/**
+ * Resolve every local definition of a source, or null if it cannot be parsed
+ */
+function resolveDefinitions(text, filePath) {
+  let program;
+  try {
+    program = loadWithImports(text, filePath);
+  } catch (err) {
+    try {
+      program = parse(text);
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  const resolved = new Map();
+  program.definitions.forEach((definition, name) => {
+    if (definition.importedFrom) return;
+    try {
+      resolved.set(name, resolve(program, name, { validateValence: false }));
+    } catch (err) {
+      resolved.set(name, `error: ${err.message}`);
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Find the definitions whose resolved SELFIES differ between two versions of a file
+ * @param {string} original - Source before formatting
+ * @param {string} formatted - Source after formatting
+ * @param {string} filePath - Absolute path of the file, for its imports
+ * @returns {string[]|null} Names of changed definitions, or null when the original
+ *   cannot be parsed and the result cannot be checked
+ */
+function findResolutionChanges(original, formatted, filePath) {
+  const before = resolveDefinitions(original, filePath);
+  if (!before) {
+    return null;
+  }
+  const after = resolveDefinitions(formatted, filePath) || new Map();
+
+  const names = new Set([...before.keys(), ...after.keys()]);
+  return Array.from(names).filter((name) => before.get(name) !== after.get(name));
+}
+
+export {
+  formatSelfies,
+  findResolutionChanges,
+};
@@ -0,0 +1,163 @@
+/**
+ * Semantic Scanner - Classifies the bracket tokens of .selfies source
+ *
+ * The TextMate grammar only sees the shape of a token, so `[methyl]`, `[C]`
+ * and a misspelt `[metyl]` look alike. This scanner classifies every token
+ * against the names the program actually defines or imports, for the
+ * semantic tokens provider. It never throws on malformed input.
+ *
+ * Token types: fragment, atom, branch, ring, macro
+ * Modifiers: declaration, imported, unresolved, bonded, and one element
+ *   group per atom (carbon, nitrogen, oxygen, sulfur, phosphorus, halogen,
+ *   hydrogen, otherElement)
+ */
+
+import { scanFragments, findCommentStart } from './fragmentScanner';
+
+const ELEMENTS = new Set(`
+  H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn
+  Ga Ge As Se Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce
+  Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn
+  Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr Rf Db Sg Bh Hs Mt Ds Rg Cn Nh Fl
+  Mc Lv Ts Og b c n o p s se as
+`.trim().split(/\s+/));
+
+const ELEMENT_GROUPS = {
+  C: 'carbon',
+  N: 'nitrogen',
+  O: 'oxygen',
+  S: 'sulfur',
+  P: 'phosphorus',
+  F: 'halogen',
+  Cl: 'halogen',
+  Br: 'halogen',
+  I: 'halogen',
+  At: 'halogen',
+  H: 'hydrogen',
+};
+
+// Optional bond, isotope, element, chirality, hydrogens and charge
+const ATOM_TOKEN = /^([=#/\\]|-\/|\\\/)?(\d+)?([A-Z][a-z]?|[bcnops]|se|as)(@{1,2})?(H\d*)?([+-]\d*)?$/;
+const STRUCTURAL_TOKEN = /^([=#]|-\/|\\\/)?(Branch|Ring)[1-3]$/;
+const SPECIAL_TOKENS = new Set(['nop', 'epsilon']);
+const REPEAT = /\brepeat(?=\s*\()/g;
+
+/**
+ * Classify the content of one bracket token in a definition body
+ * @param {string} name - Token content without brackets
+ * @param {Object} names - Known fragment names
+ * @param {Set<string>} names.local - Defined in this file
+ * @param {Set<string>} names.imported - Brought in by imports
+ * @param {boolean} names.complete - Whether every imported name is known, so an
+ *   unknown name can be reported as unresolved
+ * @returns {{type: string, modifiers: string[]}|null}
+ */
+function classifyToken(name, names) {
+  if (names.local.has(name)) {
+    return { type: 'fragment', modifiers: [] };
+  }
+  if (names.imported.has(name)) {
+    return { type: 'fragment', modifiers: ['imported'] };
+  }
+
+  const structural = name.match(STRUCTURAL_TOKEN);
+  if (structural) {
+    return {
+      type: structural[2].toLowerCase(),
+      modifiers: structural[1] ? ['bonded'] : [],
+    };
+  }
+
+  const atom = name.match(ATOM_TOKEN);
+  if (atom && ELEMENTS.has(atom[3])) {
+    const symbol = atom[3].charAt(0).toUpperCase() + atom[3].slice(1);
+    return {
+      type: 'atom',
+      modifiers: [
+        ...(atom[1] ? ['bonded'] : []),
+        ELEMENT_GROUPS[symbol] || 'otherElement',
+      ],
+    };
+  }
+
+  if (SPECIAL_TOKENS.has(name) || !names.complete) {
+    return null;
+  }
+  return { type: 'fragment', modifiers: ['unresolved'] };
+}
+
+/**
+ * Scan .selfies source for semantic tokens
+ * @param {string} text - File content
+ * @param {Object} names - Known fragment names, see classifyToken
+ * @returns {{line: number, start: number, length: number, type: string,
+ *   modifiers: string[]}[]} Tokens in document order
+ */
+function scanSemanticTokens(text, names) {
+  const { definitions, tokens, imports } = scanFragments(text);
+  const result = [];
+
+  definitions.forEach((definition) => {
+    result.push({
+      line: definition.line,
+      start: definition.start,
+      length: definition.end - definition.start,
+      type: 'fragment',
+      modifiers: ['declaration'],
+    });
+  });
+
+  imports.forEach((entry) => {
+    if (entry.names === '*') return;
+    entry.names.forEach((imported) => {
+      result.push({
+        line: imported.line,
+        start: imported.start,
+        length: imported.end - imported.start,
+        type: 'fragment',
+        modifiers: ['imported'],
+      });
+    });
+  });
+
+  tokens.forEach((token) => {
+    const classification = classifyToken(token.name, names);
+    if (classification) {
+      result.push({
+        line: token.line,
+        start: token.start,
+        length: token.end - token.start,
+        ...classification,
+      });
+    }
+  });
+
+  // repeat() calls, only in definition bodies and outside comments
+  const definitionLines = new Set(definitions.map((definition) => definition.line));
+  text.split('\n').forEach((line, lineNumber) => {
+    if (!definitionLines.has(lineNumber)) return;
+    const code = line.slice(0, findCommentStart(line));
+    const bodyStart = code.indexOf('=') + 1;
+    const pattern = new RegExp(REPEAT.source, 'g');
+    let match = pattern.exec(code);
+    while (match) {
+      if (match.index >= bodyStart) {
+        result.push({
+          line: lineNumber,
+          start: match.index,
+          length: match[0].length,
+          type: 'macro',
+          modifiers: [],
+        });
+      }
+      match = pattern.exec(code);
+    }
+  });
+
+  return result.sort((a, b) => a.line - b.line || a.start - b.start);
+}
+
+export {
+  classifyToken,
+  scanSemanticTokens,
+};
@@ -0,0 +1,67 @@
+import * as vscode from 'vscode';
+import { loadWithImports } from 'selfies-js';
+import { scanFragments } from './fragmentScanner';
+import { scanSemanticTokens } from './semanticScanner';
+
+const TOKEN_TYPES = ['fragment', 'atom', 'branch', 'ring', 'macro'];
+const TOKEN_MODIFIERS = [
+  'declaration', 'imported', 'unresolved', 'bonded',
+  'carbon', 'nitrogen', 'oxygen', 'sulfur', 'phosphorus', 'halogen', 'hydrogen', 'otherElement',
+];
+
+const legend = new vscode.SemanticTokensLegend(TOKEN_TYPES, TOKEN_MODIFIERS);
+
+/**
+ * Collect the fragment names a document can reference
+ *
+ * When the imports cannot be loaded, only the names written in the file are
+ * known, so unknown references are not reported as unresolved.
+ */
+function getFragmentNames(document) {
+  const text = document.getText();
+  try {
+    const program = loadWithImports(text, document.uri.fsPath);
+    const local = new Set();
+    const imported = new Set();
+    program.definitions.forEach((definition, name) => {
+      (definition.importedFrom ? imported : local).add(name);
+    });
+    return { local, imported, complete: true };
+  } catch (err) {
+    const { definitions, imports } = scanFragments(text);
+    return {
+      local: new Set(definitions.map((definition) => definition.name)),
+      imported: new Set(imports
+        .filter((entry) => entry.names !== '*')
+        .flatMap((entry) => entry.names.map((imported) => imported.name))),
+      complete: false,
+    };
+  }
+}
+
+/**
+ * Create a semantic tokens provider that tells fragment references apart from
+ * SELFIES atoms and structural tokens in .selfies files
+ * @returns {vscode.Disposable}
+ */
+function createSemanticTokensProvider() {
+  return vscode.languages.registerDocumentSemanticTokensProvider(
+    { language: 'selfies' },
+    {
+      provideDocumentSemanticTokens(document) {
+        const builder = new vscode.SemanticTokensBuilder(legend);
+        scanSemanticTokens(document.getText(), getFragmentNames(document)).forEach((token) => {
+          builder.push(
+            new vscode.Range(token.line, token.start, token.line, token.start + token.length),
+            token.type,
+            token.modifiers,
+          );
+        });
+        return builder.build();
+      },
+    },
+    legend,
+  );
+}
+
+export { createSemanticTokensProvider };
@@ -0,0 +1,188 @@
+/**
+ * Smiles Declarations - Locates molecule bindings in .smiles.js source text
+ *
+ * Parses the module with acorn so that multi-line declarations, `let`/`var`,
+ * destructuring and `export { a as b }` lists are understood, then maps any
+ * cursor offset to the top-level binding that encloses it. Which bindings are
+ * actually molecules is only known after evaluation.
+ *
+ * Lines and columns are 0-based, matching VS Code; offsets index the text.
+ */
+
+import { parse } from 'acorn';
+
+/**
+ * Collect the identifiers bound by a declaration pattern
+ * @param {Object} pattern - Identifier, ObjectPattern, ArrayPattern, ...
+ * @param {Object[]} identifiers - Accumulator
+ * @returns {Object[]} Identifier nodes
+ */
+function collectBindingIdentifiers(pattern, identifiers = []) {
+  if (!pattern) return identifiers;
+
+  switch (pattern.type) {
+    case 'Identifier':
+      identifiers.push(pattern);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach((property) => {
+        collectBindingIdentifiers(
+          property.type === 'RestElement' ? property.argument : property.value,
+          identifiers,
+        );
+      });
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach((element) => collectBindingIdentifiers(element, identifiers));
+      break;
+    case 'RestElement':
+      collectBindingIdentifiers(pattern.argument, identifiers);
+      break;
+    case 'AssignmentPattern':
+      collectBindingIdentifiers(pattern.left, identifiers);
+      break;
+    default:
+      break;
+  }
+  return identifiers;
+}
+
+/**
+ * Get the SMILES literal of a `Fragment('...')` initializer, if that is what it is
+ */
+function getFragmentLiteral(init) {
+  if (
+    init
+    && init.type === 'CallExpression'
+    && init.callee.type === 'Identifier'
+    && init.callee.name === 'Fragment'
+    && init.arguments.length > 0
+    && init.arguments[0].type === 'Literal'
+    && typeof init.arguments[0].value === 'string'
+  ) {
+    return init.arguments[0].value;
+  }
+  return null;
+}
+
+/**
+ * Parse a .smiles.js module and list its top-level variable bindings
+ * @param {string} text - Module source
+ * @returns {{declarations: Object[], error: Object|null}}
+ *   Each declaration is { name, exportName, kind, line, start, end, nameOffset, rangeStart,
+ *   rangeEnd, endLine, smiles }: `exportName` is null for bindings that are not exported,
+ *   `line`, `start`, `end` and `nameOffset` locate the binding identifier,
+ *   `rangeStart`/`rangeEnd` are the offsets the binding owns, `endLine` is the last line of
+ *   its statement and `smiles` is the literal of a plain `Fragment('...')` initializer.
+ *   On a syntax error, declarations is empty and error is { message, line, column, offset }.
+ */
+function parseSmilesModule(text) {
+  let program;
+  try {
+    program = parse(text, {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      locations: true,
+      allowHashBang: true,
+    });
+  } catch (err) {
+    const loc = err.loc || { line: 1, column: 0 };
+    return {
+      declarations: [],
+      error: {
+        message: err.message.replace(/\s*\(\d+:\d+\)$/, ''),
+        line: loc.line - 1,
+        column: loc.column,
+        offset: err.pos !== undefined ? err.pos : 0,
+      },
+    };
+  }
+
+  const declarations = [];
+  const exportedAs = new Map();
+
+  program.body.forEach((statement) => {
+    let declaration = statement;
+    let exported = false;
+
+    if (statement.type === 'ExportNamedDeclaration') {
+      if (!statement.declaration) {
+        // export { a, b as c } without a source re-exports local bindings
+        if (!statement.source) {
+          statement.specifiers.forEach((specifier) => {
+            const exportName = specifier.exported.name || specifier.exported.value;
+            exportedAs.set(specifier.local.name, exportName);
+          });
+        }
+        return;
+      }
+      declaration = statement.declaration;
+      exported = true;
+    }
+
+    if (declaration.type !== 'VariableDeclaration') {
+      return;
+    }
+
+    declaration.declarations.forEach((declarator, index) => {
+      // The first and last declarators also own the keywords around them
+      const rangeStart = index === 0 ? statement.start : declarator.start;
+      const rangeEnd = index === declaration.declarations.length - 1
+        ? statement.end
+        : declarator.end;
+
+      collectBindingIdentifiers(declarator.id).forEach((identifier) => {
+        declarations.push({
+          name: identifier.name,
+          exportName: exported ? identifier.name : null,
+          kind: declaration.kind,
+          line: identifier.loc.start.line - 1,
+          start: identifier.loc.start.column,
+          end: identifier.loc.end.column,
+          nameOffset: identifier.start,
+          rangeStart,
+          rangeEnd,
+          endLine: statement.loc.end.line - 1,
+          smiles: declarator.id.type === 'Identifier' ? getFragmentLiteral(declarator.init) : null,
+        });
+      });
+    });
+  });
+
+  return {
+    declarations: declarations.map((declaration) => (
+      !declaration.exportName && exportedAs.has(declaration.name)
+        ? { ...declaration, exportName: exportedAs.get(declaration.name) }
+        : declaration
+    )),
+    error: null,
+  };
+}
+
+/**
+ * Find the binding that encloses an offset
+ *
+ * When one declarator binds several names (destructuring), the identifier under
+ * the cursor wins, otherwise the first one.
+ *
+ * @param {Object[]} declarations - From parseSmilesModule
+ * @param {number} offset - Cursor offset in the text
+ * @returns {Object|null}
+ */
+function findDeclarationAt(declarations, offset) {
+  const enclosing = declarations.filter(
+    (declaration) => offset >= declaration.rangeStart && offset <= declaration.rangeEnd,
+  );
+  if (enclosing.length === 0) {
+    return null;
+  }
+
+  const underCursor = enclosing.find((declaration) => offset >= declaration.nameOffset
+    && offset <= declaration.nameOffset + declaration.name.length);
+  return underCursor || enclosing[0];
+}
+
+export {
+  parseSmilesModule,
+  findDeclarationAt,
+};
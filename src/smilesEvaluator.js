@@ -0,0 +1,239 @@
+import { Worker } from 'worker_threads';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { parse } from 'acorn';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MEMORY_LIMIT_MB = 256;
+
+/**
+ * Prefix an error message with the line number in the evaluated file, if known
+ */
+function formatError(message, stack, filePath) {
+  const escapedPath = filePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const fileLine = new RegExp(`${escapedPath}:(\\d+):\\d+`);
+  const lineMatch = stack?.match(fileLine) || message?.match(fileLine);
+  if (lineMatch) {
+    return `Line ${lineMatch[1]}: ${message}`;
+  }
+  return message;
+}
+
+/**
+ * Find the string literals naming other modules: static imports, re-exports
+ * and `import()` calls
+ * @returns {Object[]} acorn Literal nodes; empty if the source does not parse
+ */
+function findModuleSpecifiers(source) {
+  let program;
+  try {
+    program = parse(source, { ecmaVersion: 'latest', sourceType: 'module', allowHashBang: true });
+  } catch {
+    // The worker reports the syntax error
+    return [];
+  }
+
+  const specifiers = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+    if (node.source && node.source.type === 'Literal' && typeof node.source.value === 'string') {
+      specifiers.push(node.source);
+    }
+    Object.values(node).forEach((child) => {
+      if (child && typeof child === 'object') visit(child);
+    });
+  };
+  visit(program);
+  return specifiers;
+}
+
+/**
+ * Point relative and absolute path imports at the original file's directory
+ */
+function rewriteRelativeImports(source, filePath) {
+  const directory = path.dirname(filePath);
+  return findModuleSpecifiers(source)
+    .filter(({ value }) => value.startsWith('./') || value.startsWith('../') || path.isAbsolute(value))
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, literal) => {
+      const url = pathToFileURL(path.resolve(directory, literal.value)).href;
+      return `${result.slice(0, literal.start)}${JSON.stringify(url)}${result.slice(literal.end)}`;
+    }, source);
+}
+
+function ancestorDirectories(directory) {
+  const parent = path.dirname(directory);
+  return parent === directory ? [directory] : [directory, ...ancestorDirectories(parent)];
+}
+
+/**
+ * Write source to a private temporary directory for evaluation
+ *
+ * Nothing is written next to the user's file. Relative imports are rewritten
+ * to absolute URLs, and every node_modules folder above the original file is
+ * linked at the same place under the temporary directory, so bare imports
+ * resolve to the same packages (and the same module instances) as they would
+ * from the original file.
+ *
+ * @returns {{modulePath: string, tempRoot: string}}
+ */
+function writeTemporaryModule(filePath, source, exportNames) {
+  const exportLine = exportNames.length > 0 ? `\nexport { ${exportNames.join(', ')} };\n` : '';
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfies-eval-'));
+  const mirror = (directory) => path.join(
+    tempRoot,
+    path.relative(path.parse(directory).root, directory),
+  );
+
+  try {
+    ancestorDirectories(path.dirname(path.resolve(filePath)))
+      .filter((directory) => fs.existsSync(path.join(directory, 'node_modules')))
+      .forEach((directory) => {
+        fs.mkdirSync(mirror(directory), { recursive: true });
+        fs.symlinkSync(
+          path.join(directory, 'node_modules'),
+          path.join(mirror(directory), 'node_modules'),
+          'junction',
+        );
+      });
+
+    const modulePath = path.join(
+      mirror(path.dirname(path.resolve(filePath))),
+      `${path.basename(filePath)}.mjs`,
+    );
+    fs.mkdirSync(path.dirname(modulePath), { recursive: true });
+    fs.writeFileSync(
+      modulePath,
+      `${rewriteRelativeImports(source, filePath)}${exportLine}`,
+      'utf-8',
+    );
+    return { modulePath, tempRoot };
+  } catch (err) {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+/**
+ * Evaluate a .smiles.js module in a worker thread
+ *
+ * Every call gets a fresh worker, so edits never accumulate module copies and
+ * a hung or crashing module is torn down without affecting the extension host.
+ *
+ * @param {string} filePath - Absolute path to the module
+ * @param {Object} [options]
+ * @param {string} [options.source] - Evaluate this text instead of the file on disk
+ * @param {string[]} [options.exportNames] - Top-level names to export in addition
+ *   to the module's own exports, e.g. to preview a non-exported const
+ * @param {string[]} [options.codeFor] - Export names to generate toCode() output for
+ * @param {number} [options.timeoutMs] - Terminate the worker after this long
+ * @param {number} [options.memoryLimitMb] - Heap limit for the worker
+ * @param {AbortSignal} [options.signal] - Terminate the worker when aborted; the
+ *   result then has `cancelled: true` and neither fragments nor an error
+ * @returns {Promise<{fragments: Object|null, error: string|null, cancelled?: boolean}>}
+ *   fragments maps export name to { smiles, formula, molecularWeight, code?, codeError? }
+ */
+export function evaluateSmilesModule(filePath, options = {}) {
+  const {
+    source = null,
+    exportNames = [],
+    codeFor = [],
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    memoryLimitMb = DEFAULT_MEMORY_LIMIT_MB,
+    signal = null,
+  } = options;
+
+  if (signal && signal.aborted) {
+    return Promise.resolve({ fragments: null, error: null, cancelled: true });
+  }
+
+  let modulePath = filePath;
+  let tempRoot = null;
+  if (source !== null || exportNames.length > 0) {
+    try {
+      const text = source !== null ? source : fs.readFileSync(filePath, 'utf-8');
+      ({ modulePath, tempRoot } = writeTemporaryModule(filePath, text, exportNames));
+    } catch (err) {
+      return Promise.resolve({ fragments: null, error: err.message });
+    }
+  }
+
+  return new Promise((resolvePromise) => {
+    let settled = false;
+    let timer = null;
+    let onAbort = null;
+
+    const worker = new Worker(path.join(__dirname, 'smilesWorker.js'), {
+      workerData: { filePath: modulePath, codeFor },
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryLimitMb,
+      },
+    });
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      worker.terminate();
+      if (modulePath === filePath) {
+        resolvePromise(result);
+        return;
+      }
+
+      try {
+        // Removes the links to node_modules, not what they point to
+        fs.rmSync(tempRoot, { recursive: true, force: true });
+      } catch {
+        // Left for the OS to clean up with the rest of the temp directory
+      }
+
+      // Point messages at the user's file rather than the temporary copy
+      resolvePromise({
+        ...result,
+        error: result.error && result.error.split(modulePath).join(filePath),
+      });
+    };
+
+    timer = setTimeout(() => {
+      finish({ fragments: null, error: `Evaluation timed out after ${timeoutMs} ms` });
+    }, timeoutMs);
+
+    if (signal) {
+      onAbort = () => finish({ fragments: null, error: null, cancelled: true });
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    worker.on('message', (message) => {
+      if (message.error) {
+        finish({
+          fragments: null,
+          error: formatError(message.error.message, message.error.stack, modulePath),
+        });
+        return;
+      }
+      finish({ fragments: message.fragments, error: null });
+    });
+
+    worker.on('error', (err) => {
+      const message = err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Evaluation exceeded the ${memoryLimitMb} MB memory limit`
+        : formatError(err.message, err.stack, modulePath);
+      finish({ fragments: null, error: message });
+    });
+
+    worker.on('exit', (code) => {
+      finish({ fragments: null, error: `Evaluation exited unexpectedly (code ${code})` });
+    });
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * Worker entry that evaluates a .smiles.js module in isolation
+ *
+ * Runs inside a worker thread started by smilesEvaluator.js so that a slow or
+ * crashing user module cannot take down the extension host. Only plain,
+ * serializable fragment data is posted back.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { pathToFileURL } from 'url';
+
+/**
+ * Read a property that may be a throwing getter
+ */
+function readProperty(fragment, key) {
+  try {
+    const value = fragment[key];
+    return value === undefined ? null : value;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Generate constructor code for a fragment
+ */
+function generateCode(name, fragment) {
+  if (typeof fragment.toCode !== 'function') {
+    return { code: null, codeError: `Export "${name}" does not have a toCode() method` };
+  }
+
+  try {
+    return { code: String(fragment.toCode(name)), codeError: null };
+  } catch (err) {
+    return { code: null, codeError: `Failed to generate code: ${err.message}` };
+  }
+}
+
+async function evaluate() {
+  const { filePath, codeFor = [] } = workerData;
+  const module = await import(pathToFileURL(filePath).href);
+
+  const fragments = {};
+  Object.keys(module).forEach((name) => {
+    const fragment = module[name];
+    const smiles = fragment ? readProperty(fragment, 'smiles') : null;
+
+    // Only Fragment-like exports are of interest
+    if (typeof smiles !== 'string') {
+      return;
+    }
+
+    fragments[name] = {
+      smiles,
+      formula: readProperty(fragment, 'formula'),
+      molecularWeight: readProperty(fragment, 'molecularWeight'),
+    };
+
+    if (codeFor.includes(name)) {
+      Object.assign(fragments[name], generateCode(name, fragment));
+    }
+  });
+
+  return fragments;
+}
+
+evaluate()
+  .then((fragments) => {
+    parentPort.postMessage({ fragments, error: null });
+  })
+  .catch((err) => {
+    parentPort.postMessage({
+      fragments: null,
+      error: { message: err.message || String(err), stack: err.stack || '' },
+    });
+  });
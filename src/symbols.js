@@ -0,0 +1,303 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { loadWithImports, encode, getFormula } from 'selfies-js';
+import { scanFragments } from './fragmentScanner';
+import { describeDefinition } from './moleculeInfo';
+import { parseSmilesModule } from './smilesDeclarations';
+import { readText } from './navigation';
+
+// Folding markers from language-configuration.json, plus the JavaScript equivalents
+const SELFIES_REGION_START = /^\s*#\s*region\b\s*(.*)$/;
+const SELFIES_REGION_END = /^\s*#\s*endregion\b/;
+const JS_REGION_START = /^\s*\/\/\s*#region\b\s*(.*)$/;
+const JS_REGION_END = /^\s*\/\/\s*#endregion\b/;
+
+/**
+ * Scan a file for regions and molecule definitions
+ * @param {string} text - File content
+ * @param {boolean} isSmilesJS - Whether the file is a .smiles.js module
+ * @returns {Object[]} Root entries; regions carry `children` and `endLine`
+ */
+function scanOutline(text, isSmilesJS) {
+  const lines = text.split('\n');
+  const regionStart = isSmilesJS ? JS_REGION_START : SELFIES_REGION_START;
+  const regionEnd = isSmilesJS ? JS_REGION_END : SELFIES_REGION_END;
+
+  const roots = [];
+  const stack = [];
+  const addEntry = (entry) => {
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(entry);
+    } else {
+      roots.push(entry);
+    }
+  };
+
+  const definitionsByLine = new Map();
+  const addDefinition = (definition) => {
+    const onLine = definitionsByLine.get(definition.line) || [];
+    onLine.push({ type: 'definition', ...definition });
+    definitionsByLine.set(definition.line, onLine);
+  };
+
+  if (isSmilesJS) {
+    // Exported bindings only, under the name other modules import them by
+    parseSmilesModule(text).declarations.forEach((declaration) => {
+      if (declaration.exportName) {
+        addDefinition({
+          name: declaration.exportName,
+          line: declaration.line,
+          start: declaration.start,
+          end: declaration.end,
+          smiles: declaration.smiles,
+        });
+      }
+    });
+  } else {
+    scanFragments(text).definitions.forEach(addDefinition);
+  }
+
+  lines.forEach((line, lineNumber) => {
+    const startMatch = line.match(regionStart);
+    if (startMatch) {
+      const region = {
+        type: 'region',
+        name: startMatch[1].trim() || 'region',
+        line: lineNumber,
+        endLine: lines.length - 1,
+        children: [],
+      };
+      addEntry(region);
+      stack.push(region);
+      return;
+    }
+
+    if (regionEnd.test(line) && stack.length > 0) {
+      stack.pop().endLine = lineNumber;
+      return;
+    }
+
+    (definitionsByLine.get(lineNumber) || []).forEach(addEntry);
+  });
+
+  return roots;
+}
+
+/**
+ * Compute the formula shown as symbol detail
+ */
+function getDetail(entry, program) {
+  try {
+    if (program) {
+      return describeDefinition(program, entry.name).formula || '';
+    }
+    if (entry.smiles) {
+      return getFormula(encode(entry.smiles)) || '';
+    }
+  } catch (err) {
+    // Detail is optional
+  }
+  return '';
+}
+
+/**
+ * Convert scanned entries into DocumentSymbols
+ */
+function toDocumentSymbols(entries, document, program) {
+  return entries.map((entry) => {
+    if (entry.type === 'region') {
+      const endLine = Math.min(entry.endLine, document.lineCount - 1);
+      const range = new vscode.Range(
+        entry.line,
+        0,
+        endLine,
+        document.lineAt(endLine).text.length,
+      );
+      const symbol = new vscode.DocumentSymbol(
+        entry.name,
+        '',
+        vscode.SymbolKind.Namespace,
+        range,
+        new vscode.Range(entry.line, 0, entry.line, document.lineAt(entry.line).text.length),
+      );
+      symbol.children = toDocumentSymbols(entry.children, document, program);
+      return symbol;
+    }
+
+    return new vscode.DocumentSymbol(
+      entry.name,
+      getDetail(entry, program),
+      vscode.SymbolKind.Constant,
+      document.lineAt(entry.line).range,
+      new vscode.Range(entry.line, entry.start, entry.line, entry.end),
+    );
+  });
+}
+
+/**
+ * Flatten scanned entries into SymbolInformation for workspace search
+ *
+ * SymbolInformation has no detail, so the formula goes before the container.
+ */
+function toSymbolInformation(entries, uri, containerName, program, results) {
+  entries.forEach((entry) => {
+    if (entry.type === 'region') {
+      toSymbolInformation(entry.children, uri, entry.name, program, results);
+      return;
+    }
+
+    results.push(new vscode.SymbolInformation(
+      entry.name,
+      vscode.SymbolKind.Constant,
+      [getDetail(entry, program), containerName].filter(Boolean).join(' · '),
+      new vscode.Location(uri, new vscode.Range(entry.line, entry.start, entry.line, entry.end)),
+    ));
+  });
+  return results;
+}
+
+/**
+ * Check that the query characters appear in order in the name
+ */
+function matchesQuery(name, query) {
+  const lowerName = name.toLowerCase();
+  let index = 0;
+  return Array.from(query.toLowerCase()).every((char) => {
+    index = lowerName.indexOf(char, index);
+    if (index === -1) return false;
+    index += 1;
+    return true;
+  });
+}
+
+/**
+ * Load a .selfies program for formulas, or null for .smiles.js files and
+ * programs that do not load
+ */
+function loadProgram(text, filePath) {
+  if (filePath.endsWith('.smiles.js')) {
+    return null;
+  }
+  try {
+    return loadWithImports(text, filePath);
+  } catch (err) {
+    // Symbols are still listed, without formulas
+    return null;
+  }
+}
+
+/**
+ * Scan a workspace file into SymbolInformation
+ */
+async function scanWorkspaceFile(uri) {
+  const text = await readText(uri);
+  if (text === null) {
+    return [];
+  }
+  return toSymbolInformation(
+    scanOutline(text, uri.fsPath.endsWith('.smiles.js')),
+    uri,
+    path.basename(uri.fsPath),
+    loadProgram(text, uri.fsPath),
+    [],
+  );
+}
+
+/**
+ * Create document and workspace symbol providers for molecule definitions
+ * in .selfies and .smiles.js files
+ * @returns {vscode.Disposable}
+ */
+function createSymbolProviders() {
+  const documentSymbolProvider = vscode.languages.registerDocumentSymbolProvider(
+    [
+      { language: 'selfies' },
+      { language: 'javascript', pattern: '**/*.smiles.js' },
+    ],
+    {
+      provideDocumentSymbols(document) {
+        const isSmilesJS = document.fileName.endsWith('.smiles.js');
+        const text = document.getText();
+        const program = loadProgram(text, document.uri.fsPath);
+
+        return toDocumentSymbols(scanOutline(text, isSmilesJS), document, program);
+      },
+    },
+  );
+
+  // Workspace files by URI, listed on the first query and kept up to date by
+  // the watcher, and their symbols, scanned on the first query after a change
+  let workspaceFiles = null;
+  const scannedSymbols = new Map();
+
+  const listWorkspaceFiles = () => {
+    if (!workspaceFiles) {
+      workspaceFiles = vscode.workspace.findFiles('**/{*.selfies,*.smiles.js}', '**/node_modules/**')
+        .then((uris) => new Map(uris.map((uri) => [uri.toString(), uri])));
+    }
+    return workspaceFiles;
+  };
+
+  const updateWorkspaceFiles = (update) => {
+    if (workspaceFiles) {
+      workspaceFiles.then(update);
+    }
+  };
+
+  const invalidate = (uri) => scannedSymbols.delete(uri.toString());
+
+  const workspaceSymbolProvider = vscode.languages.registerWorkspaceSymbolProvider({
+    async provideWorkspaceSymbols(query) {
+      const uris = Array.from((await listWorkspaceFiles()).values());
+      const symbols = await Promise.all(uris.map((uri) => {
+        const key = uri.toString();
+        if (!scannedSymbols.has(key)) {
+          scannedSymbols.set(key, scanWorkspaceFile(uri));
+        }
+        return scannedSymbols.get(key);
+      }));
+
+      return symbols.flat().filter((symbol) => matchesQuery(symbol.name, query));
+    },
+  });
+
+  const watcher = vscode.workspace.createFileSystemWatcher('**/{*.selfies,*.smiles.js}');
+  watcher.onDidCreate((uri) => updateWorkspaceFiles((files) => {
+    if (!uri.path.includes('/node_modules/')) {
+      files.set(uri.toString(), uri);
+    }
+  }));
+  watcher.onDidDelete((uri) => {
+    invalidate(uri);
+    updateWorkspaceFiles((files) => files.delete(uri.toString()));
+  });
+  watcher.onDidChange((uri) => {
+    invalidate(uri);
+    // Formulas of .selfies files resolve through the files they import
+    if (uri.fsPath.endsWith('.selfies')) {
+      Array.from(scannedSymbols.keys())
+        .filter((key) => key.endsWith('.selfies'))
+        .forEach((key) => scannedSymbols.delete(key));
+    }
+  });
+
+  // Open documents are scanned with their unsaved edits, closed ones from disk
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument(
+    (event) => invalidate(event.document.uri),
+  );
+  const documentCloseListener = vscode.workspace.onDidCloseTextDocument(
+    (document) => invalidate(document.uri),
+  );
+
+  return {
+    dispose: () => {
+      documentSymbolProvider.dispose();
+      workspaceSymbolProvider.dispose();
+      watcher.dispose();
+      documentChangeListener.dispose();
+      documentCloseListener.dispose();
+    },
+  };
+}
+
+export { createSymbolProviders };
@@ -0,0 +1,216 @@
+/**
+ * Usage Analysis - Finds fragments and imports that nothing uses, across files,
+ * and builds the edit that removes an unused import
+ *
+ * Imports in selfies-js are transitive: a file that imports a name also
+ * provides it to every file importing it in turn. A name therefore counts as
+ * used in a file when the file references it, or when a file importing it
+ * (by name or with `*`) uses it without defining its own fragment of that name.
+ *
+ * Files are passed in as text keyed by absolute path; imports of files that
+ * are not passed in are ignored rather than guessed at.
+ */
+
+import * as path from 'path';
+import { scanFragments, resolveImportPath } from './fragmentScanner';
+
+/**
+ * Index the files for usage queries
+ * @param {Map<string, string>} files - Text by absolute path
+ * @returns {Object} Index for findUnused
+ */
+function indexFiles(files) {
+  const scans = new Map();
+  files.forEach((text, filePath) => {
+    const { definitions, tokens, imports } = scanFragments(text);
+    scans.set(path.resolve(filePath), {
+      text,
+      definitions,
+      local: new Set(definitions.map((definition) => definition.name)),
+      referenced: new Set(tokens.map((token) => token.name)),
+      imports: imports.map((entry) => ({
+        ...entry,
+        target: resolveImportPath(entry.path, filePath),
+      })),
+    });
+  });
+
+  // Who imports each file, and how
+  const importers = new Map();
+  scans.forEach((scan, filePath) => {
+    scan.imports.forEach((entry) => {
+      const list = importers.get(entry.target) || [];
+      list.push({ filePath, names: entry.names });
+      importers.set(entry.target, list);
+    });
+  });
+
+  return { scans, importers, memo: new Map() };
+}
+
+/**
+ * Names a file provides to files that import it with `*`
+ */
+function exportedNames(index, filePath, visiting = new Set()) {
+  const scan = index.scans.get(filePath);
+  if (!scan || visiting.has(filePath)) {
+    return new Set();
+  }
+  visiting.add(filePath);
+
+  const names = new Set(scan.local);
+  scan.imports.forEach((entry) => {
+    const imported = entry.names === '*'
+      ? exportedNames(index, entry.target, visiting)
+      : entry.names.map((name) => name.name);
+    imported.forEach((name) => names.add(name));
+  });
+  return names;
+}
+
+/**
+ * Whether an importer receives a name through its import, rather than
+ * defining its own fragment of that name
+ */
+function receivesName(index, importer, name) {
+  if (index.scans.get(importer.filePath).local.has(name)) {
+    return false;
+  }
+  return importer.names === '*' || importer.names.some((entry) => entry.name === name);
+}
+
+function isUsed(index, filePath, name, visiting = new Set()) {
+  const key = `${filePath}\0${name}`;
+  if (index.memo.has(key)) {
+    return index.memo.get(key);
+  }
+  if (visiting.has(key)) {
+    return false;
+  }
+  visiting.add(key);
+
+  const scan = index.scans.get(filePath);
+  const used = !!scan && (scan.referenced.has(name)
+    || (index.importers.get(filePath) || []).some((importer) => receivesName(index, importer, name)
+      && isUsed(index, importer.filePath, name, visiting)));
+
+  // Results found while a cycle was open may be incomplete
+  if (visiting.size === 1) {
+    index.memo.set(key, used);
+  }
+  visiting.delete(key);
+  return used;
+}
+
+/**
+ * Find the definitions and imports of a file that nothing uses
+ * @param {Object} index - From indexFiles
+ * @param {string} filePath - Absolute path of a file in the index
+ * @returns {{definitions: Object[], imports: Object[]}} Definitions are
+ *   { name, line, start, end }; imports are { line, start, end, name, path } with
+ *   `name` null for a whole `import "path"` / `import * from "path"` statement
+ */
+function findUnused(index, filePath) {
+  const normalizedPath = path.resolve(filePath);
+  const scan = index.scans.get(normalizedPath);
+  if (!scan) {
+    return { definitions: [], imports: [] };
+  }
+
+  const definitions = scan.definitions
+    .filter((definition) => !isUsed(index, normalizedPath, definition.name));
+
+  const lines = scan.text.split('\n');
+  const imports = [];
+  scan.imports.forEach((entry) => {
+    if (entry.names === '*') {
+      if (!index.scans.has(entry.target)) return;
+      const provided = Array.from(exportedNames(index, entry.target))
+        .filter((name) => !scan.local.has(name));
+      if (!provided.some((name) => isUsed(index, normalizedPath, name))) {
+        imports.push({
+          line: entry.line,
+          start: lines[entry.line].search(/\S/),
+          end: entry.pathEnd + 1,
+          name: null,
+          path: entry.path,
+        });
+      }
+      return;
+    }
+
+    entry.names
+      .filter((imported) => scan.local.has(imported.name)
+        || !isUsed(index, normalizedPath, imported.name))
+      .forEach((imported) => {
+        imports.push({
+          line: imported.line,
+          start: imported.start,
+          end: imported.end,
+          name: imported.name,
+          path: entry.path,
+        });
+      });
+  });
+
+  return { definitions, imports };
+}
+
+/**
+ * Find the files that use a fragment through their imports of its file
+ * @param {Object} index - From indexFiles
+ * @param {string} filePath - Absolute path of the file defining the fragment
+ * @param {string} name - Fragment name
+ * @returns {string[]} Absolute paths of the importing files
+ */
+function findImportersUsing(index, filePath, name) {
+  const users = (index.importers.get(path.resolve(filePath)) || [])
+    .filter((importer) => receivesName(index, importer, name)
+      && isUsed(index, importer.filePath, name))
+    .map((importer) => importer.filePath);
+  return Array.from(new Set(users));
+}
+
+function deleteLine(text, line) {
+  const lines = text.split('\n');
+  return {
+    start: { line, character: 0 },
+    end: line + 1 < lines.length
+      ? { line: line + 1, character: 0 }
+      : { line, character: lines[line].length },
+    text: '',
+  };
+}
+
+/**
+ * Edit removing one name from an `import [...]` list, or the whole statement
+ * when it is the only name or `name` is null
+ * @param {string} text - .selfies source
+ * @param {number} line - Line of the import
+ * @param {string|null} name
+ * @returns {Object} Edit
+ */
+function removeImportEdit(text, line, name) {
+  const entry = scanFragments(text).imports.find((candidate) => candidate.line === line);
+  if (!entry || name === null || entry.names === '*' || entry.names.length <= 1) {
+    return deleteLine(text, line);
+  }
+
+  const index = entry.names.findIndex((imported) => imported.name === name);
+  const target = entry.names[index];
+  // Take the separator after the name, or before it for the last one
+  const start = index === entry.names.length - 1 ? entry.names[index - 1].end : target.start;
+  const end = index === entry.names.length - 1 ? target.end : entry.names[index + 1].start;
+  return {
+    start: { line, character: start },
+    end: { line, character: end },
+    text: '',
+  };
+}
+
+export {
+  indexFiles,
+  findUnused,
+  findImportersUsing,
+  removeImportEdit,
+};
@@ -0,0 +1,186 @@
+/**
+ * Usage Diagnostics - Fades fragments and imports that nothing uses, with a
+ * quick fix removing unused imports
+ *
+ * A fragment is unused when neither its own file nor any workspace file that
+ * imports it references it. Because that depends on other files, every open
+ * .selfies document is re-checked when any .selfies file changes. Files
+ * matching `selfies.publicLibraries` are exempt: their definitions exist for
+ * code outside the workspace.
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { indexFiles, findUnused, removeImportEdit } from './usageAnalysis';
+
+const REFRESH_DELAY_MS = 300;
+
+function isPublicLibrary(document) {
+  const patterns = vscode.workspace.getConfiguration('selfies').get('publicLibraries', []);
+  return patterns.some((pattern) => vscode.languages.match({ pattern }, document) > 0);
+}
+
+function createHint(line, start, end, message, code) {
+  const diagnostic = new vscode.Diagnostic(
+    new vscode.Range(line, start, line, end),
+    message,
+    vscode.DiagnosticSeverity.Hint,
+  );
+  diagnostic.source = 'selfies';
+  diagnostic.code = code;
+  diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+  return diagnostic;
+}
+
+/**
+ * Quick fix removing the import an unused-import diagnostic points at
+ */
+function createRemoveImportFix(document, diagnostic) {
+  // Diagnostics for a single name quote it; whole statements name the path
+  const name = diagnostic.message.startsWith("'") ? document.getText(diagnostic.range) : null;
+  const edit = removeImportEdit(document.getText(), diagnostic.range.start.line, name);
+
+  const action = new vscode.CodeAction('Remove unused import', vscode.CodeActionKind.QuickFix);
+  action.edit = new vscode.WorkspaceEdit();
+  action.edit.replace(
+    document.uri,
+    new vscode.Range(edit.start.line, edit.start.character, edit.end.line, edit.end.character),
+    edit.text,
+  );
+  action.diagnostics = [diagnostic];
+  action.isPreferred = true;
+  return action;
+}
+
+/**
+ * Create the unused definition and unused import diagnostics provider
+ * @returns {vscode.Disposable}
+ */
+function createUsageDiagnosticsProvider() {
+  const diagnosticCollection = vscode.languages.createDiagnosticCollection('selfies-usage');
+  // Saved text of workspace .selfies files by absolute path
+  const workspaceTexts = new Map();
+  let refreshTimer = null;
+
+  const isSelfies = (document) => document.languageId === 'selfies';
+
+  const refresh = () => {
+    refreshTimer = null;
+    const files = new Map(workspaceTexts);
+    const documents = vscode.workspace.textDocuments.filter(isSelfies);
+    documents.forEach((document) => {
+      files.set(path.resolve(document.uri.fsPath), document.getText());
+    });
+
+    const index = indexFiles(files);
+    documents.forEach((document) => {
+      if (isPublicLibrary(document)) {
+        diagnosticCollection.set(document.uri, []);
+        return;
+      }
+
+      const unused = findUnused(index, document.uri.fsPath);
+      diagnosticCollection.set(document.uri, [
+        ...unused.definitions.map((definition) => createHint(
+          definition.line,
+          definition.start,
+          definition.end,
+          `'${definition.name}' is never used in this file or any file that imports it`,
+          'unused-definition',
+        )),
+        ...unused.imports.map((entry) => createHint(
+          entry.line,
+          entry.start,
+          entry.end,
+          entry.name
+            ? `'${entry.name}' is imported but never used`
+            : `Nothing imported from ${entry.path} is used`,
+          'unused-import',
+        )),
+      ]);
+    });
+  };
+
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refresh, REFRESH_DELAY_MS);
+  };
+
+  // Open documents are read at refresh time, so files are always read from disk
+  const loadFile = async (uri) => {
+    try {
+      const bytes = await vscode.workspace.fs.readFile(uri);
+      workspaceTexts.set(path.resolve(uri.fsPath), Buffer.from(bytes).toString('utf-8'));
+    } catch {
+      workspaceTexts.delete(path.resolve(uri.fsPath));
+    }
+    scheduleRefresh();
+  };
+
+  vscode.workspace.findFiles('**/*.selfies', '**/node_modules/**')
+    .then((uris) => Promise.all(uris.map(loadFile)));
+
+  const watcher = vscode.workspace.createFileSystemWatcher('**/*.selfies');
+  watcher.onDidCreate(loadFile);
+  watcher.onDidChange(loadFile);
+  watcher.onDidDelete((uri) => {
+    workspaceTexts.delete(path.resolve(uri.fsPath));
+    scheduleRefresh();
+  });
+
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    if (isSelfies(event.document)) {
+      scheduleRefresh();
+    }
+  });
+
+  const documentOpenListener = vscode.workspace.onDidOpenTextDocument((document) => {
+    if (isSelfies(document)) {
+      scheduleRefresh();
+    }
+  });
+
+  // Unsaved edits of a closed document no longer count
+  const documentCloseListener = vscode.workspace.onDidCloseTextDocument((document) => {
+    diagnosticCollection.delete(document.uri);
+    if (isSelfies(document)) {
+      loadFile(document.uri);
+    }
+  });
+
+  const configListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('selfies.publicLibraries')) {
+      scheduleRefresh();
+    }
+  });
+
+  const codeActionProvider = vscode.languages.registerCodeActionsProvider(
+    { language: 'selfies' },
+    {
+      provideCodeActions(document, range, context) {
+        return context.diagnostics
+          .filter((diagnostic) => diagnostic.source === 'selfies'
+            && diagnostic.code === 'unused-import')
+          .map((diagnostic) => createRemoveImportFix(document, diagnostic));
+      },
+    },
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] },
+  );
+
+  scheduleRefresh();
+
+  return {
+    dispose: () => {
+      clearTimeout(refreshTimer);
+      diagnosticCollection.dispose();
+      watcher.dispose();
+      documentChangeListener.dispose();
+      documentOpenListener.dispose();
+      documentCloseListener.dispose();
+      configListener.dispose();
+      codeActionProvider.dispose();
+    },
+  };
+}
+
+export { createUsageDiagnosticsProvider };
@@ -0,0 +1,231 @@
+/* eslint-disable no-underscore-dangle */
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs';
+import { generateSVG, getMoleculeGraph, getDescriptors } from '../rdkitRenderer';
+import { getRenderSettings } from '../renderSettings';
+import { findMaximumCommonSubstructureInWorker } from '../mcs';
+
+// Size of each structure drawing
+const STRUCTURE_WIDTH = 400;
+const STRUCTURE_HEIGHT = 300;
+
+// Give up on an exact MCS after this long and show the best match found
+const MCS_TIMEOUT_MS = 2000;
+
+// Highlight colors as RDKit [r, g, b] in 0..1
+const COMMON_COLOR = [0.56, 0.93, 0.56];
+const DIFFERENT_COLOR = [1.0, 0.7, 0.7];
+
+/**
+ * Map every index to the same color, in the form RDKit expects
+ */
+function colorAll(indices, color) {
+  return Object.fromEntries(indices.map((index) => [index, color]));
+}
+
+/**
+ * Format a number for the delta table
+ */
+function formatNumber(value, digits = 0) {
+  return value === null || value === undefined ? '—' : value.toFixed(digits);
+}
+
+/**
+ * Format the difference B - A with an explicit sign
+ */
+function formatDelta(a, b, digits = 0) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return '—';
+  }
+  const delta = b - a;
+  const formatted = Math.abs(delta).toFixed(digits);
+  if (Number(formatted) === 0) return '0';
+  return delta > 0 ? `+${formatted}` : `−${formatted}`;
+}
+
+/**
+ * Manages the webview panel comparing two molecules
+ */
+class ComparePanel {
+  constructor(extensionUri) {
+    this._extensionUri = extensionUri;
+    this._panel = null;
+    this._disposables = [];
+
+    this._create();
+  }
+
+  /**
+     * Create the webview panel
+     */
+  _create() {
+    this._panel = vscode.window.createWebviewPanel(
+      'selfiesCompare',
+      'Compare Molecules',
+      vscode.ViewColumn.Beside,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: [
+          vscode.Uri.joinPath(this._extensionUri, 'resources'),
+        ],
+      },
+    );
+
+    this._panel.webview.html = this._getHtmlContent();
+
+    // Handle panel disposal
+    this._panel.onDidDispose(() => {
+      this.dispose();
+    }, null, this._disposables);
+  }
+
+  /**
+     * Compare two molecules and show the result
+     *
+     * Each molecule is { name, smiles, formula, molecularWeight, source }.
+     */
+  async show(first, second) {
+    if (!this._panel) {
+      return;
+    }
+
+    this._panel.title = `Compare: ${first.name} ↔ ${second.name}`;
+
+    try {
+      const [graphA, graphB, descriptorsA, descriptorsB] = await Promise.all([
+        getMoleculeGraph(first.smiles),
+        getMoleculeGraph(second.smiles),
+        getDescriptors(first.smiles),
+        getDescriptors(second.smiles),
+      ]);
+
+      const mcs = await findMaximumCommonSubstructureInWorker(graphA, graphB, {
+        timeoutMs: MCS_TIMEOUT_MS,
+      });
+      const settings = getRenderSettings();
+
+      const render = async (molecule, graph, atoms, bonds) => {
+        const different = graph.atoms.map((atom, index) => index)
+          .filter((index) => !atoms.includes(index));
+        return generateSVG(molecule.smiles, {
+          width: STRUCTURE_WIDTH,
+          height: STRUCTURE_HEIGHT,
+          addStereoAnnotation: settings.addStereoAnnotation,
+          addAtomIndices: settings.addAtomIndices,
+          highlightAtoms: [...atoms, ...different],
+          highlightBonds: bonds,
+          highlightAtomColors: {
+            ...colorAll(atoms, COMMON_COLOR),
+            ...colorAll(different, DIFFERENT_COLOR),
+          },
+          highlightBondColors: colorAll(bonds, COMMON_COLOR),
+        });
+      };
+
+      const [svgA, svgB] = await Promise.all([
+        render(first, graphA, mcs.atomsA, mcs.bondsA),
+        render(second, graphB, mcs.atomsB, mcs.bondsB),
+      ]);
+
+      const weightA = first.molecularWeight ?? descriptorsA.amw;
+      const weightB = second.molecularWeight ?? descriptorsB.amw;
+      const rows = [
+        {
+          label: 'Formula',
+          a: first.formula || '—',
+          b: second.formula || '—',
+          delta: first.formula && first.formula === second.formula ? 'same' : '—',
+        },
+        {
+          label: 'Molecular Weight',
+          a: formatNumber(weightA, 2),
+          b: formatNumber(weightB, 2),
+          delta: formatDelta(weightA, weightB, 2),
+        },
+        ...[
+          ['Heavy Atoms', 'NumHeavyAtoms'],
+          ['Rings', 'NumRings'],
+          ['Aromatic Rings', 'NumAromaticRings'],
+          ['Heteroatoms', 'NumHeteroatoms'],
+        ].map(([label, key]) => ({
+          label,
+          a: formatNumber(descriptorsA[key]),
+          b: formatNumber(descriptorsB[key]),
+          delta: formatDelta(descriptorsA[key], descriptorsB[key]),
+        })),
+      ];
+
+      this._panel.webview.postMessage({
+        command: 'update',
+        data: {
+          molecules: [
+            { ...first, svg: svgA },
+            { ...second, svg: svgB },
+          ],
+          common: {
+            atoms: mcs.atomsA.length,
+            bonds: mcs.bondsA.length,
+            timedOut: mcs.timedOut,
+          },
+          rows,
+        },
+      });
+    } catch (err) {
+      this._panel.webview.postMessage({
+        command: 'update',
+        data: { error: `Failed to compare molecules: ${err.message}` },
+      });
+    }
+  }
+
+  /**
+     * Reveal the panel
+     */
+  reveal() {
+    if (this._panel) {
+      this._panel.reveal(vscode.ViewColumn.Beside);
+    }
+  }
+
+  /**
+     * Register a disposal callback
+     */
+  onDidDispose(callback) {
+    return this._panel.onDidDispose(callback);
+  }
+
+  /**
+     * Dispose the panel
+     */
+  dispose() {
+    if (this._panel) {
+      const panel = this._panel;
+      this._panel = null;
+      panel.dispose();
+    }
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  /**
+     * Get the HTML content for the webview
+     */
+  _getHtmlContent() {
+    const comparePath = path.join(
+      this._extensionUri.fsPath,
+      'resources',
+      'compare.html',
+    );
+
+    return fs.readFileSync(comparePath, 'utf-8');
+  }
+}
+
+export { ComparePanel };
@@ -0,0 +1,235 @@
+/* eslint-disable no-underscore-dangle */
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs';
+import { generateSVG } from '../rdkitRenderer';
+import { getRenderSettings, affectsRenderSettings } from '../renderSettings';
+import { collectMolecules } from '../moleculeCollector';
+
+// Size of the structure drawing on each card
+const CARD_WIDTH = 240;
+const CARD_HEIGHT = 180;
+
+// Wait for typing to pause before re-evaluating the file
+const REFRESH_DELAY_MS = 300;
+
+/**
+ * Manages the webview panel that shows every molecule of a file as a grid
+ */
+class MoleculeGridPanel {
+  constructor(extensionUri, document) {
+    this._extensionUri = extensionUri;
+    this._document = document;
+    this._panel = null;
+    this._disposables = [];
+    this._svgCache = new Map();
+    this._refreshTimer = null;
+    this._refreshId = 0;
+
+    this._create();
+    this.refresh();
+  }
+
+  /**
+     * Create the webview panel
+     */
+  _create() {
+    this._panel = vscode.window.createWebviewPanel(
+      'selfiesMoleculeGrid',
+      this._getTitle(),
+      vscode.ViewColumn.Beside,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: [
+          vscode.Uri.joinPath(this._extensionUri, 'resources'),
+        ],
+      },
+    );
+
+    this._panel.webview.html = this._getHtmlContent();
+
+    // Handle panel disposal
+    this._panel.onDidDispose(() => {
+      this.dispose();
+    }, null, this._disposables);
+
+    // Handle messages from webview
+    this._panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case 'reveal':
+            await this._revealLine(Number(message.line));
+            break;
+          case 'error':
+            vscode.window.showErrorMessage(message.text);
+            break;
+          default:
+            // Unknown command
+            break;
+        }
+      },
+      null,
+      this._disposables,
+    );
+
+    // Re-render once typing pauses in the shown document
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      if (event.document === this._document) {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS);
+      }
+    }, null, this._disposables);
+
+    // Re-render every card when rendering settings change
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (affectsRenderSettings(event)) {
+        this._svgCache.clear();
+        this.refresh();
+      }
+    }, null, this._disposables);
+  }
+
+  /**
+     * Show the molecules of another document
+     */
+  showDocument(document) {
+    if (document === this._document) {
+      return;
+    }
+    this._document = document;
+    this._panel.title = this._getTitle();
+    this.refresh();
+  }
+
+  /**
+     * Collect the molecules of the document and send them to the webview
+     *
+     * Structures are cached by SMILES, so an edit only re-renders the cards it touched.
+     */
+  async refresh() {
+    if (!this._panel) {
+      return;
+    }
+
+    this._refreshId += 1;
+    const refreshId = this._refreshId;
+    const { molecules, error, cancelled } = await collectMolecules(this._document);
+    if (cancelled) {
+      // A newer version of the document is being evaluated for another refresh
+      return;
+    }
+    const settings = getRenderSettings();
+
+    const cards = await Promise.all(molecules.map(async (molecule) => ({
+      ...molecule,
+      svg: settings.engine === 'rdkit' && molecule.smiles && !molecule.error
+        ? await this._renderSVG(molecule.smiles, settings)
+        : null,
+    })));
+
+    // A newer refresh started while this one was evaluating
+    if (refreshId !== this._refreshId || !this._panel) {
+      return;
+    }
+
+    this._panel.webview.postMessage({
+      command: 'update',
+      data: {
+        fileName: path.basename(this._document.fileName),
+        error,
+        cards,
+        render: { engine: settings.engine, width: CARD_WIDTH, height: CARD_HEIGHT },
+      },
+    });
+  }
+
+  /**
+     * Render a card structure with RDKit, reusing earlier renderings
+     */
+  async _renderSVG(smiles, settings) {
+    if (!this._svgCache.has(smiles)) {
+      try {
+        this._svgCache.set(smiles, await generateSVG(smiles, {
+          width: CARD_WIDTH,
+          height: CARD_HEIGHT,
+          addStereoAnnotation: settings.addStereoAnnotation,
+          addAtomIndices: settings.addAtomIndices,
+        }));
+      } catch (err) {
+        // The webview falls back to smiles-drawer
+        this._svgCache.set(smiles, null);
+      }
+    }
+    return this._svgCache.get(smiles);
+  }
+
+  /**
+     * Move the cursor of the source editor to a definition
+     */
+  async _revealLine(line) {
+    const visibleEditor = vscode.window.visibleTextEditors
+      .find((editor) => editor.document === this._document);
+    const editor = await vscode.window.showTextDocument(this._document, {
+      viewColumn: visibleEditor ? visibleEditor.viewColumn : vscode.ViewColumn.One,
+    });
+    const position = new vscode.Position(line, 0);
+    editor.selection = new vscode.Selection(position, position);
+    editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+  }
+
+  _getTitle() {
+    return `Molecules: ${path.basename(this._document.fileName)}`;
+  }
+
+  /**
+     * Reveal the panel
+     */
+  reveal() {
+    if (this._panel) {
+      this._panel.reveal(vscode.ViewColumn.Beside);
+    }
+  }
+
+  /**
+     * Register a disposal callback
+     */
+  onDidDispose(callback) {
+    return this._panel.onDidDispose(callback);
+  }
+
+  /**
+     * Dispose the panel
+     */
+  dispose() {
+    clearTimeout(this._refreshTimer);
+
+    if (this._panel) {
+      const panel = this._panel;
+      this._panel = null;
+      panel.dispose();
+    }
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  /**
+     * Get the HTML content for the webview
+     */
+  _getHtmlContent() {
+    const gridPath = path.join(
+      this._extensionUri.fsPath,
+      'resources',
+      'grid.html',
+    );
+
+    return fs.readFileSync(gridPath, 'utf-8');
+  }
+}
+
+export { MoleculeGridPanel };
@@ -3,6 +3,9 @@ import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
 import { generateSVG } from '../rdkitRenderer';
+import { getRenderSettings, affectsRenderSettings } from '../renderSettings';
+import { computeDescriptors } from '../descriptors';
+import { exportMolecule } from '../moleculeExport';
 
 /**
  * Manages the webview panel for molecular structure visualization
@@ -12,6 +15,7 @@ class PreviewPanel {
     this._extensionUri = extensionUri;
     this._panel = null;
     this._disposables = [];
+    this._lastLineInfo = null;
 
     this._create();
   }
@@ -56,6 +60,9 @@ class PreviewPanel {
           case 'savePNG':
             await this._savePNG(message.pngData, message.fileName);
             break;
+          case 'exportMolecule':
+            await exportMolecule(this._lastLineInfo);
+            break;
           default:
             // Unknown command
             break;
@@ -64,6 +71,13 @@ class PreviewPanel {
       null,
       this._disposables,
     );
+
+    // Re-render the current molecule when rendering settings change
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (affectsRenderSettings(event) && this._lastLineInfo) {
+        this.update(this._lastLineInfo);
+      }
+    }, null, this._disposables);
   }
 
   /**
@@ -74,8 +88,13 @@ class PreviewPanel {
       return;
     }
 
-    // Generate SVG using RDKit if we have SMILES
-    if (lineInfo && lineInfo.smiles && !lineInfo.error) {
+    // Keep an unrendered copy so settings changes can re-render it
+    this._lastLineInfo = lineInfo ? { ...lineInfo } : null;
+
+    const settings = getRenderSettings();
+
+    // Generate SVG using RDKit if it is the selected engine and we have SMILES
+    if (settings.engine === 'rdkit' && lineInfo && lineInfo.smiles && !lineInfo.error) {
       // console.log('[Panel] Rendering molecule:', {
       //     name: lineInfo.name,
       //     smiles: lineInfo.smiles,
@@ -85,9 +104,13 @@ class PreviewPanel {
 
       try {
         const svg = await generateSVG(lineInfo.smiles, {
-          width: 500,
-          height: 300,
-          addStereoAnnotation: true,
+          width: settings.width,
+          height: settings.height,
+          addStereoAnnotation: settings.addStereoAnnotation,
+          addAtomIndices: settings.addAtomIndices,
+          // Atoms and bonds derived from the token under the cursor
+          highlightAtoms: lineInfo.highlight ? lineInfo.highlight.atoms : [],
+          highlightBondPairs: lineInfo.highlight ? lineInfo.highlight.bonds : [],
         });
         lineInfo.svg = svg;
         // console.log('[Panel] Successfully rendered with RDKit');
@@ -115,6 +138,24 @@ class PreviewPanel {
       }
     }
 
+    // Descriptors come from RDKit whichever engine draws the structure
+    if (lineInfo && lineInfo.smiles && !lineInfo.error && settings.descriptors.length > 0) {
+      try {
+        lineInfo.descriptors = await computeDescriptors(lineInfo.smiles, settings.descriptors);
+      } catch (err) {
+        // RDKit could not parse the SMILES; the structure view reports the problem
+        lineInfo.descriptors = null;
+      }
+    }
+
+    if (lineInfo) {
+      lineInfo.render = {
+        engine: settings.engine,
+        width: settings.width,
+        height: settings.height,
+      };
+    }
+
     this._panel.webview.postMessage({
       command: 'update',
       data: lineInfo,
@@ -0,0 +1,69 @@
+/**
+ * Tests for mapping definition tokens to the atoms they produce
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { parse, decode } from 'selfies-js';
+import { findBodyTokenAt, getTokenAtoms } from '../src/atomOrigins.js';
+
+const program = parse([
+  '[methyl] = [C]',
+  '[carboxyl] = [C][=Branch1][C][=O][O]',
+  '[acetic_acid] = [methyl][carboxyl]',
+  '[benzene] = repeat([C][=C], 3)[Ring1][=Branch1]',
+  '[phenol] = [O][benzene]',
+].join('\n'));
+
+const sortedPairs = (bonds) => bonds.map((pair) => [...pair].sort()).sort();
+
+describe('findBodyTokenAt', () => {
+  const line = '[benzene] = repeat([C][=C], 3)[Ring1][=Branch1]  # ring';
+
+  test('counts a repeat call as one token', () => {
+    expect(findBodyTokenAt(line, 20)).toEqual({ index: 0, start: 12, end: 30 });
+    expect(findBodyTokenAt(line, 32)).toEqual({ index: 1, start: 30, end: 37 });
+    expect(findBodyTokenAt(line, 40).index).toBe(2);
+  });
+
+  test('ignores the definition name and comments', () => {
+    expect(findBodyTokenAt(line, 3)).toBeNull();
+    expect(findBodyTokenAt(line, 52)).toBeNull();
+    expect(findBodyTokenAt('# [C][O]', 3)).toBeNull();
+  });
+});
+
+describe('getTokenAtoms', () => {
+  test('maps atom tokens to atoms of the decoded SMILES', () => {
+    // [carboxyl] decodes to C(=O)O
+    expect(decode('[C][=Branch1][C][=O][O]')).toBe('C(=O)O');
+    expect(getTokenAtoms(program, 'carboxyl', 0)).toEqual({ atoms: [0], bonds: [] });
+    expect(getTokenAtoms(program, 'carboxyl', 4)).toEqual({ atoms: [2], bonds: [[0, 2]] });
+  });
+
+  test('a branch token and its index token select the branch', () => {
+    const branch = { atoms: [1], bonds: [[0, 1]] };
+    expect(getTokenAtoms(program, 'carboxyl', 1)).toEqual(branch);
+    expect(getTokenAtoms(program, 'carboxyl', 2)).toEqual(branch);
+    expect(getTokenAtoms(program, 'carboxyl', 3)).toEqual(branch);
+  });
+
+  test('a fragment reference selects every atom of the fragment', () => {
+    const { atoms, bonds } = getTokenAtoms(program, 'acetic_acid', 1);
+    expect(atoms.sort()).toEqual([1, 2, 3]);
+    expect(sortedPairs(bonds)).toEqual([[0, 1], [1, 2], [1, 3]]);
+  });
+
+  test('a ring token selects the ring closure', () => {
+    const { atoms, bonds } = getTokenAtoms(program, 'benzene', 1);
+    expect(atoms.sort()).toEqual([0, 5]);
+    expect(bonds).toEqual([[0, 5]]);
+
+    const phenyl = getTokenAtoms(program, 'phenol', 1);
+    expect(phenyl.atoms.sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(phenyl.bonds).toHaveLength(7);
+  });
+
+  test('returns nothing for unknown definitions', () => {
+    expect(getTokenAtoms(program, 'missing', 0)).toEqual({ atoms: [], bonds: [] });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for finding SMILES and SELFIES strings in arbitrary text
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  looksLikeSELFIES,
+  isPlausibleSMILES,
+  extractSMILESFromLine,
+  findChemicalStringAt,
+} from '../src/chemicalStrings.js';
+
+describe('string classification', () => {
+  test('recognises SELFIES bracket tokens', () => {
+    expect(looksLikeSELFIES('[C][C][O]')).toBe(true);
+    expect(looksLikeSELFIES('[C][=C][Ring1][=Branch1]')).toBe(true);
+    expect(looksLikeSELFIES('[NH4+]C')).toBe(false);
+    expect(looksLikeSELFIES('[C] [O]')).toBe(false);
+  });
+
+  test('accepts short SMILES but not ordinary words', () => {
+    expect(isPlausibleSMILES('CCO')).toBe(true);
+    expect(isPlausibleSMILES('c1ccccc1')).toBe(true);
+    expect(isPlausibleSMILES('[NH4+].[Cl-]')).toBe(true);
+    expect(isPlausibleSMILES('Hello')).toBe(false);
+    expect(isPlausibleSMILES('2024-01-01')).toBe(false);
+    expect(isPlausibleSMILES('two words')).toBe(false);
+  });
+
+  test('rejects English words made of element letters', () => {
+    ['No', 'On', 'Cons', 'Bs', 'CO2', 'on'].forEach((word) => {
+      expect(isPlausibleSMILES(word)).toBe(false);
+    });
+    expect(isPlausibleSMILES('Clc1ccccc1')).toBe(true);
+    expect(isPlausibleSMILES('C1CC2CCC1C2')).toBe(true);
+  });
+});
+
+describe('extractSMILESFromLine', () => {
+  test('finds SMILES literals and smiles fields', () => {
+    expect(extractSMILESFromLine("x = 'C1CCCCC1'", 3)).toEqual([
+      {
+        smiles: 'C1CCCCC1', start: 5, end: 13, line: 3,
+      },
+    ]);
+    expect(extractSMILESFromLine("{ smiles: 'CCO' }", 0).map((s) => s.smiles)).toEqual(['CCO']);
+  });
+});
+
+describe('findChemicalStringAt', () => {
+  test('picks the string literal under the cursor', () => {
+    const line = 'df = pd.DataFrame({"a": ["CCO", "[C][=C][O]"]})';
+    expect(findChemicalStringAt(line, 0, line.indexOf('CCO') + 1)).toEqual({
+      text: 'CCO', kind: 'smiles', start: 26, end: 29, line: 0,
+    });
+    expect(findChemicalStringAt(line, 0, line.indexOf('[=C]')).kind).toBe('selfies');
+    expect(findChemicalStringAt(line, 0, line.indexOf('DataFrame'))).toBeNull();
+  });
+
+  test('picks bare CSV cells and Markdown code spans', () => {
+    expect(findChemicalStringAt('aspirin,CC(=O)Oc1ccccc1C(=O)O,180.16', 4, 12).text)
+      .toBe('CC(=O)Oc1ccccc1C(=O)O');
+    expect(findChemicalStringAt('aspirin,CC(=O)Oc1ccccc1C(=O)O,180.16', 4, 2)).toBeNull();
+    expect(findChemicalStringAt('Ethanol is `CCO`.', 0, 13).text).toBe('CCO');
+  });
+
+  test('ignores prose in Markdown and plain text', () => {
+    const prose = 'No. On IN CS the Cons of BOP are CO2 and (No) issues.';
+    ['No', 'On', 'IN', 'CS', 'Cons', 'BOP', 'CO2', '(No)'].forEach((word) => {
+      expect(findChemicalStringAt(prose, 0, prose.indexOf(word) + 1)).toBeNull();
+    });
+    expect(findChemicalStringAt('Thiol `CS` here', 0, 8).text).toBe('CS');
+    expect(findChemicalStringAt("label = 'IN'", 0, 10).text).toBe('IN');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for deciding what completion offers at the cursor
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { parse } from 'selfies-js';
+import {
+  isInDefinitionBody,
+  findBracketContext,
+  selectFragmentNames,
+} from '../src/completionContext.js';
+
+describe('isInDefinitionBody', () => {
+  test('is true only after the = of a definition', () => {
+    expect(isInDefinitionBody('[a] = [C]', 7)).toBe(true);
+    expect(isInDefinitionBody('[a] = [C]', 2)).toBe(false);
+    expect(isInDefinitionBody('# [a] = [C]', 9)).toBe(false);
+    expect(isInDefinitionBody('import [a] from "./b.selfies"', 9)).toBe(false);
+  });
+});
+
+describe('findBracketContext', () => {
+  test('covers the token being typed and an auto-closed bracket', () => {
+    expect(findBracketContext('[a] = [C][me', 12)).toEqual({ start: 9, end: 12 });
+    expect(findBracketContext('[a] = [C][me]', 12)).toEqual({ start: 9, end: 13 });
+    expect(findBracketContext('[a] = [me][C]', 8)).toEqual({ start: 6, end: 10 });
+  });
+
+  test('ignores names being defined, comments and finished tokens', () => {
+    expect(findBracketContext('[me', 3)).toBeNull();
+    expect(findBracketContext('[a] = [C] # [me', 15)).toBeNull();
+    expect(findBracketContext('[a] = [C]', 9)).toBeNull();
+  });
+});
+
+describe('selectFragmentNames', () => {
+  const { definitions } = parse('[b] = [a][C]\n[a] = [O]\n[c] = [b]\n');
+  const names = (line) => selectFragmentNames(definitions, line).map(({ name }) => name);
+
+  test('offers fragments defined further down the file', () => {
+    expect(names(0)).toEqual(['a', 'c']);
+  });
+
+  test('leaves out only the fragment defined on the cursor line', () => {
+    expect(names(1)).toEqual(['b', 'c']);
+    expect(names(5)).toEqual(['b', 'a', 'c']);
+  });
+
+  test('always offers imported fragments', () => {
+    const withImport = new Map([
+      ['methyl', { line: 1, importedFrom: './base.selfies' }],
+      ['a', { line: 2 }],
+    ]);
+    expect(selectFragmentNames(withImport, 0)).toEqual([
+      { name: 'methyl', importedFrom: './base.selfies' },
+      { name: 'a', importedFrom: null },
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for reading compound lists and writing them as fragment libraries
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  detectFormat,
+  parseCompoundFile,
+  sanitizeName,
+  formatSelfiesLibrary,
+  formatSmilesModule,
+} from '../src/compoundFiles.js';
+
+const molBlock = (title) => [
+  title,
+  '     RDKit          2D',
+  '',
+  '  1  0  0  0  0  0  0  0  0  0999 V2000',
+  '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+  'M  END',
+].join('\n');
+
+describe('parseCompoundFile', () => {
+  test('detects the format from the file name', () => {
+    expect(detectFormat('catalog.SDF')).toBe('sdf');
+    expect(detectFormat('hits.smi')).toBe('smi');
+    expect(detectFormat('plate.tsv')).toBe('csv');
+    expect(detectFormat('notes.txt')).toBeNull();
+  });
+
+  test('reads SMILES files with optional names and a header', () => {
+    const { records } = parseCompoundFile('SMILES Name\nCCO ethanol\n\nc1ccccc1\n', 'smi');
+    expect(records).toEqual([
+      { name: 'ethanol', smiles: 'CCO', line: 2 },
+      { name: '', smiles: 'c1ccccc1', line: 4 },
+    ]);
+  });
+
+  test('finds the SMILES and name columns of a CSV file', () => {
+    const text = [
+      'ID;Vendor;Canonical_SMILES',
+      'A-1;"Acme; Inc";CCO',
+      'A-2;Acme;',
+      '"B ""3""";Acme;CC(=O)O',
+    ].join('\n');
+    const { records, errors } = parseCompoundFile(text, 'csv');
+    expect(records).toEqual([
+      { name: 'A-1', smiles: 'CCO', line: 2 },
+      { name: 'B "3"', smiles: 'CC(=O)O', line: 4 },
+    ]);
+    expect(errors).toEqual([{ line: 3, message: 'Row has no SMILES' }]);
+  });
+
+  test('reports a CSV file without a SMILES column', () => {
+    const { records, errors } = parseCompoundFile('name,formula\nwater,H2O\n', 'csv');
+    expect(records).toEqual([]);
+    expect(errors[0].line).toBe(1);
+  });
+
+  test('splits SD files into records named by title or ID property', () => {
+    const text = [
+      molBlock('methane'),
+      '> <Formula>',
+      'CH4',
+      '',
+      '$$$$',
+      molBlock(''),
+      '> <ID>',
+      'CAT-0042',
+      '',
+      '$$$$',
+      'broken',
+      '$$$$',
+      '',
+    ].join('\n');
+    const { records, errors } = parseCompoundFile(text, 'sdf');
+    expect(records.map((record) => [record.name, record.line])).toEqual([
+      ['methane', 1],
+      ['CAT-0042', 11],
+    ]);
+    expect(records[0].molBlock).toBe(`${molBlock('methane')}\n`);
+    expect(errors).toEqual([{ line: 21, message: 'Record has no MOL block (missing "M  END")' }]);
+  });
+});
+
+describe('sanitizeName', () => {
+  test('makes identifiers that are unique and not atoms or keywords', () => {
+    const used = new Set();
+    expect(sanitizeName('Acetyl-salicylic acid', used, 'x')).toBe('Acetyl_salicylic_acid');
+    expect(sanitizeName('Acetyl salicylic acid!', used, 'x')).toBe('Acetyl_salicylic_acid_2');
+    expect(sanitizeName('Crème brûlée', used, 'x')).toBe('Creme_brulee');
+    expect(sanitizeName('4-aminophenol', used, 'x')).toBe('mol_4_aminophenol');
+    expect(sanitizeName('Cl', used, 'x')).toBe('mol_Cl');
+    expect(sanitizeName('class', used, 'x')).toBe('mol_class');
+    expect(sanitizeName('***', used, 'compound_7')).toBe('compound_7');
+  });
+
+  test('avoids names strict mode code cannot declare', () => {
+    const used = new Set();
+    expect(sanitizeName('eval', used, 'x')).toBe('mol_eval');
+    expect(sanitizeName('arguments', used, 'x')).toBe('mol_arguments');
+  });
+});
+
+describe('library output', () => {
+  const entries = [
+    {
+      name: 'ethanol', originalName: 'ethanol', smiles: 'CCO', selfies: '[C][C][O]',
+    },
+    {
+      name: 'mol_2_butene', originalName: '2-butene', smiles: 'C/C=C\\C', selfies: '[C][C][=C][C]',
+    },
+  ];
+
+  test('writes a .selfies library with original names as comments', () => {
+    expect(formatSelfiesLibrary(entries, 'hits.smi')).toBe([
+      '# Imported from hits.smi',
+      '',
+      '[ethanol] = [C][C][O]',
+      '# 2-butene',
+      '[mol_2_butene] = [C][C][=C][C]',
+      '',
+    ].join('\n'));
+  });
+
+  test('writes a .smiles.js module with escaped SMILES', () => {
+    const module = formatSmilesModule(entries, 'hits.smi');
+    expect(module).toContain("import { Fragment } from 'smiles-js';");
+    expect(module).toContain("export const ethanol = Fragment('CCO');");
+    expect(module).toContain("// 2-butene\nexport const mol_2_butene = Fragment('C/C=C\\\\C');");
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the descriptor table shown in the preview
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { DESCRIPTOR_IDS, formatDescriptors, computeDescriptors } from '../src/descriptors.js';
+
+const drugLike = {
+  amw: 180.16,
+  CrippenClogP: 1.31,
+  tpsa: 63.6,
+  NumHBD: 1,
+  NumHBA: 3,
+  lipinskiHBD: 1,
+  lipinskiHBA: 4,
+  NumRotatableBonds: 2,
+  NumRings: 1,
+  NumAromaticRings: 1,
+  NumHeavyAtoms: 13,
+  FractionCSP3: 0.111,
+  formalCharge: 0,
+};
+
+const valueOf = (rows, id) => rows.find((row) => row.id === id).value;
+
+describe('formatDescriptors', () => {
+  test('formats every descriptor in display order by default', () => {
+    const rows = formatDescriptors(drugLike);
+    expect(rows.map((row) => row.id)).toEqual(DESCRIPTOR_IDS);
+    expect(valueOf(rows, 'logP')).toBe('1.31');
+    expect(valueOf(rows, 'tpsa')).toBe('63.60 Å²');
+    expect(valueOf(rows, 'fractionCSP3')).toBe('0.11');
+    expect(valueOf(rows, 'lipinski')).toBe('Pass');
+    expect(valueOf(rows, 'veber')).toBe('Pass');
+  });
+
+  test('keeps only the selected descriptors', () => {
+    const rows = formatDescriptors(drugLike, ['veber', 'hbd']);
+    expect(rows.map((row) => row.id)).toEqual(['hbd', 'veber']);
+  });
+
+  test('Lipinski tolerates one violation, Veber none', () => {
+    const oneViolation = { ...drugLike, amw: 612.3 };
+    expect(valueOf(formatDescriptors(oneViolation), 'lipinski')).toBe('Pass (MW > 500)');
+
+    const twoViolations = { ...oneViolation, CrippenClogP: 6.2 };
+    expect(valueOf(formatDescriptors(twoViolations), 'lipinski'))
+      .toBe('Fail (MW > 500, logP > 5)');
+
+    const flexible = { ...drugLike, NumRotatableBonds: 12 };
+    expect(valueOf(formatDescriptors(flexible), 'veber')).toBe('Fail (rotatable bonds > 10)');
+  });
+
+  test('signs positive formal charges', () => {
+    expect(valueOf(formatDescriptors({ ...drugLike, formalCharge: 1 }), 'formalCharge')).toBe('+1');
+    expect(valueOf(formatDescriptors({ ...drugLike, formalCharge: -2 }), 'formalCharge')).toBe('-2');
+  });
+});
+
+describe('computeDescriptors', () => {
+  test('computes descriptors with RDKit', async () => {
+    // Aspirin, as the carboxylate
+    const rows = await computeDescriptors('CC(=O)Oc1ccccc1C(=O)[O-]');
+    expect(valueOf(rows, 'heavyAtoms')).toBe('13');
+    expect(valueOf(rows, 'aromaticRings')).toBe('1');
+    expect(valueOf(rows, 'formalCharge')).toBe('-1');
+    expect(valueOf(rows, 'lipinski')).toBe('Pass');
+  });
+
+  test('computes nothing when no descriptors are selected', async () => {
+    expect(await computeDescriptors('CCO', [])).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for finding fixable .selfies problems and building their fixes
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadWithImports } from 'selfies-js';
+import {
+  editDistance,
+  suggestNames,
+  findUndefinedReferences,
+  addImportEdit,
+  uniqueName,
+} from '../src/diagnosticFixes.js';
+import { applyEdits } from '../src/fragmentRefactoring.js';
+
+const PROGRAMS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'programs');
+
+describe('suggestNames', () => {
+  test('ranks close names by edit distance', () => {
+    expect(editDistance('metyl', 'methyl')).toBe(1);
+    expect(editDistance('metyl', 'ethyl')).toBe(2);
+    expect(suggestNames('metyl', ['methyl', 'ethyl', 'phenyl', 'hydroxyl'])).toEqual(['methyl']);
+    expect(suggestNames('xyz', ['methyl'])).toEqual([]);
+  });
+});
+
+describe('findUndefinedReferences', () => {
+  test('reports unknown names but not atoms or known fragments', () => {
+    const source = '[methyl] = [C]\n[ethanol] = [metyl][C][O]  # [typo]\n[acid] = [phenyl][=O]';
+    expect(findUndefinedReferences(source, {
+      local: new Set(['methyl', 'ethanol', 'acid']),
+      imported: new Set(['phenyl']),
+    })).toEqual([{
+      name: 'metyl', line: 1, start: 12, end: 19,
+    }]);
+  });
+
+  test('finds nothing in the fixture programs', () => {
+    ['line-numbers-basic.selfies', 'line-numbers-with-imports.selfies', 'fragments-base.selfies']
+      .forEach((file) => {
+        const filePath = join(PROGRAMS_DIR, file);
+        const text = readFileSync(filePath, 'utf-8');
+        const program = loadWithImports(text, filePath);
+        const local = new Set();
+        const imported = new Set();
+        program.definitions.forEach((definition, name) => {
+          (definition.importedFrom ? imported : local).add(name);
+        });
+        expect(findUndefinedReferences(text, { local, imported })).toEqual([]);
+      });
+  });
+});
+
+describe('addImportEdit', () => {
+  test('extends an existing list or adds a statement after the imports', () => {
+    const source = 'import [methyl] from "./base.selfies"\n[a] = [C]\n';
+    expect(applyEdits(source, [addImportEdit(source, 'ethyl', './base.selfies')]))
+      .toBe('import [methyl, ethyl] from "./base.selfies"\n[a] = [C]\n');
+    expect(applyEdits(source, [addImportEdit(source, 'phenyl', './rings.selfies')]))
+      .toBe('import [methyl] from "./base.selfies"\nimport [phenyl] from "./rings.selfies"\n[a] = [C]\n');
+    expect(applyEdits('[a] = [C]\n', [addImportEdit('[a] = [C]\n', 'b', './b.selfies')]))
+      .toBe('import [b] from "./b.selfies"\n[a] = [C]\n');
+  });
+});
+
+describe('uniqueName', () => {
+  test('appends the first free suffix', () => {
+    expect(uniqueName('ethyl', ['ethyl'])).toBe('ethyl_2');
+    expect(uniqueName('ethyl', ['ethyl', 'ethyl_2'])).toBe('ethyl_3');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for translating fragment libraries between .selfies and .smiles.js
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { selfiesToSmilesModule, smilesModuleToSelfies } from '../src/dslConversion.js';
+import { parseSmilesModule } from '../src/smilesDeclarations.js';
+
+describe('selfiesToSmilesModule', () => {
+  const source = [
+    '# Building blocks',
+    'import "./base.selfies"',
+    '',
+    '[methyl] = [C]  # one carbon',
+    '[acid] = [methyl][carboxyl]',
+    '[broken] = [nope]',
+    '[amino-acid] = [N][C]',
+  ].join('\n');
+
+  const molecules = new Map([
+    ['methyl', { smiles: 'C' }],
+    ['acid', { smiles: 'CC(=O)O' }],
+    ['broken', { error: 'Undefined reference: nope' }],
+    ['amino-acid', { smiles: 'NC' }],
+  ]);
+
+  test('keeps comments, order and imports', () => {
+    const output = selfiesToSmilesModule(source, {
+      molecules,
+      importedNames: new Map([['./base.selfies', ['carboxyl']]]),
+      identifiers: new Map([['amino-acid', 'amino_acid']]),
+    });
+    expect(output).toBe([
+      '// Building blocks',
+      "import { Fragment } from 'smiles-js';",
+      '',
+      "import { carboxyl } from './base.smiles.js';",
+      '',
+      "export const methyl = Fragment('C'); // one carbon",
+      "export const acid = Fragment('CC(=O)O');",
+      '// Not converted (Undefined reference: nope): [broken] = [nope]',
+      '// [amino-acid]',
+      "export const amino_acid = Fragment('NC');",
+      '',
+    ].join('\n'));
+  });
+
+  test('uses constructor code where it is given', () => {
+    const output = selfiesToSmilesModule('[ring] = [C][C][C][Ring1][Ring1]', {
+      molecules: new Map([['ring', { smiles: 'C1CC1', code: 'export const ring = Ring({ atoms: \'C\', size: 3 });' }]]),
+      constructors: ['Ring'],
+    });
+    expect(output).toBe([
+      "import { Ring } from 'smiles-js';",
+      '',
+      "export const ring = Ring({ atoms: 'C', size: 3 });",
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('smilesModuleToSelfies', () => {
+  test('writes one definition per binding and keeps comments', () => {
+    const source = [
+      '/**',
+      ' * Alcohols',
+      ' */',
+      "import { Fragment } from 'smiles-js';",
+      "import { methyl, ethyl as et } from './base.smiles.js';",
+      '',
+      '// The simplest one',
+      "export const methanol = Fragment('CO'); // wood alcohol",
+      'const ethanol = Fragment(',
+      "  'CCO',",
+      ');',
+      'const count = 2;',
+      'export { ethanol as grainAlcohol };',
+    ].join('\n');
+    const { declarations } = parseSmilesModule(source);
+    const molecules = new Map([
+      ['methanol', { selfies: '[C][O]' }],
+      ['grainAlcohol', { selfies: '[C][C][O]' }],
+    ]);
+
+    expect(smilesModuleToSelfies(source, declarations, molecules)).toBe([
+      '# Alcohols',
+      'import [methyl, ethyl] from "./base.selfies"',
+      '',
+      '# The simplest one',
+      '[methanol] = [C][O]  # wood alcohol',
+      '[grainAlcohol] = [C][C][O]',
+      '# Not converted (not a molecule): count',
+      '',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Module that never finishes evaluating, for testing the worker evaluator
+ */
+
+export const ethanol = { smiles: 'CCO' };
+
+for (;;) {
+  // Spin forever
+}
@@ -0,0 +1,9 @@
+/**
+ * Module with relative and package imports, for testing the worker evaluator
+ */
+
+import { decode } from 'selfies-js';
+import { ethanol } from './evaluator-plain.smiles.js';
+
+export const alcohol = ethanol;
+export const methane = { smiles: decode('[C]') };
@@ -0,0 +1,14 @@
+/**
+ * Fragment-like exports without smiles-js, for testing the worker evaluator
+ */
+
+const fragment = (smiles, formula, molecularWeight) => ({
+  smiles,
+  formula,
+  molecularWeight,
+  toCode: (name) => `export const ${name} = Fragment('${smiles}');`,
+});
+
+export const ethanol = fragment('CCO', 'C2H6O', 46.07);
+export const water = { smiles: 'O', formula: 'H2O', molecularWeight: 18.02 };
+export const label = 'not a fragment';
@@ -0,0 +1,7 @@
+/**
+ * Module that fails while evaluating, for testing the worker evaluator
+ */
+
+export const ethanol = { smiles: 'CCO' };
+
+throw new Error('Broken fragment library');
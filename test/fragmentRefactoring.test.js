@@ -0,0 +1,89 @@
+/**
+ * Tests for the Extract Fragment and Inline Fragment refactorings
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  applyEdits, validateFragmentName, extractFragment, inlineFragment,
+} from '../src/fragmentRefactoring.js';
+import { findResolutionChanges } from '../src/selfiesFormatter.js';
+
+const FILE = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'programs', 'refactor.selfies');
+
+const source = [
+  '# Acids',
+  '[acetic] = [C][C][=Branch1][C][=O][O]  # vinegar',
+  '[propionic] = [C][C] [C][=Branch1][C][=O][O]',
+  '[polymer] = repeat([C][O], 2)[C][=Branch1][C][=O][O]',
+  '',
+].join('\n');
+
+describe('validateFragmentName', () => {
+  test('rejects invalid, taken and SELFIES token names', () => {
+    expect(validateFragmentName(source, 'carboxyl')).toBeNull();
+    expect(validateFragmentName(source, '2x')).toContain('not a valid fragment name');
+    expect(validateFragmentName(source, 'acetic')).toContain('already defined');
+    expect(validateFragmentName(source, 'Br')).toContain('SELFIES token');
+    expect(validateFragmentName(source, 'Ring1')).toContain('SELFIES token');
+  });
+});
+
+describe('extractFragment', () => {
+  test('replaces every identical run and defines the fragment above its first use', () => {
+    const line = source.split('\n')[1];
+    const start = line.indexOf('[C][=Branch1]');
+    const { edits, replaced, tokens } = extractFragment(source, {
+      line: 1, start, end: line.indexOf('  #'),
+    }, 'carboxyl');
+
+    expect(tokens).toBe('[C][=Branch1][C][=O][O]');
+    expect(replaced).toBe(3);
+    const result = applyEdits(source, edits);
+    expect(result).toBe([
+      '# Acids',
+      '[carboxyl] = [C][=Branch1][C][=O][O]',
+      '[acetic] = [C][carboxyl]  # vinegar',
+      '[propionic] = [C][C] [carboxyl]',
+      '[polymer] = repeat([C][O], 2)[carboxyl]',
+      '',
+    ].join('\n'));
+    expect(findResolutionChanges(source, result, FILE)).toEqual(['carboxyl']);
+  });
+
+  test('only extracts whole tokens of a definition body', () => {
+    expect(() => extractFragment(source, { line: 1, start: 12, end: 20 }, 'x'))
+      .toThrow('Select whole tokens');
+    expect(() => extractFragment(source, { line: 0, start: 0, end: 7 }, 'x'))
+      .toThrow('body of a definition');
+  });
+});
+
+describe('inlineFragment', () => {
+  const library = [
+    '[carboxyl] = [C][=Branch1][C][=O][O]',
+    '[acetic] = [C][carboxyl]',
+    '[diacid] = repeat([carboxyl], 2)',
+  ].join('\n');
+
+  test('replaces references and can delete the definition', () => {
+    const kept = inlineFragment(library, 'carboxyl');
+    expect(kept.replaced).toBe(2);
+    expect(applyEdits(library, kept.edits)).toBe([
+      '[carboxyl] = [C][=Branch1][C][=O][O]',
+      '[acetic] = [C][C][=Branch1][C][=O][O]',
+      '[diacid] = repeat([C][=Branch1][C][=O][O], 2)',
+    ].join('\n'));
+
+    const removed = applyEdits(library, inlineFragment(library, 'carboxyl', { removeDefinition: true }).edits);
+    expect(removed.split('\n')[0]).toBe('[acetic] = [C][C][=Branch1][C][=O][O]');
+    expect(findResolutionChanges(library, removed, FILE)).toEqual(['carboxyl']);
+  });
+
+  test('refuses fragments it cannot inline', () => {
+    expect(() => inlineFragment(library, 'missing')).toThrow('not defined in this file');
+    expect(() => inlineFragment('[pair] = repeat([C], 2)\n[x] = repeat([pair], 2)', 'pair'))
+      .toThrow('repeat() pattern');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for the fragment scanner used by navigation and rename
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadWithImports } from 'selfies-js';
+import {
+  scanFragments,
+  findNameAt,
+  findCommentStart,
+  findDefinitionLocation,
+  relativeImportPath,
+  findImportContext,
+  locateImportError,
+  findNameConflict,
+} from '../src/fragmentScanner.js';
+
+const PROGRAMS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'programs');
+
+describe('fragmentScanner', () => {
+  describe('findCommentStart', () => {
+    test('ignores # inside bracket tokens', () => {
+      expect(findCommentStart('[nitrile] = [C][#N]  # triple bond')).toBe(21);
+      expect(findCommentStart('[nitrile] = [C][#N]')).toBe(19);
+    });
+
+    test('ignores # inside strings', () => {
+      expect(findCommentStart('import "./a#b.selfies" # note')).toBe(23);
+    });
+  });
+
+  describe('scanFragments', () => {
+    test('finds definitions with 0-based positions', () => {
+      const source = readFileSync(join(PROGRAMS_DIR, 'line-numbers-basic.selfies'), 'utf-8');
+      const { definitions } = scanFragments(source);
+
+      const lines = Object.fromEntries(definitions.map((d) => [d.name, d.line]));
+      expect(lines).toEqual({
+        methyl: 4,
+        ethyl: 5,
+        propyl: 6,
+        hydroxyl: 9,
+        amino: 10,
+        methanol: 13,
+        ethanol: 14,
+      });
+      expect(definitions[0]).toEqual({
+        name: 'methyl', line: 4, start: 0, end: 8,
+      });
+    });
+
+    test('finds body tokens including repeat patterns and skips comments', () => {
+      const { tokens } = scanFragments('[chain] = repeat([C][methyl], 3)[O]  # [ignored]');
+
+      expect(tokens.map((t) => [t.value, t.start, t.end])).toEqual([
+        ['[C]', 17, 20],
+        ['[methyl]', 20, 28],
+        ['[O]', 32, 35],
+      ]);
+      expect(tokens.every((t) => t.definition === 'chain')).toBe(true);
+    });
+
+    test('parses all import forms', () => {
+      const source = [
+        'import "./base.selfies"',
+        "import * from './all.selfies'",
+        'import [methyl, ethyl] from "./frag.selfies"',
+      ].join('\n');
+      const { imports } = scanFragments(source);
+
+      expect(imports).toEqual([
+        {
+          line: 0, path: './base.selfies', pathStart: 8, pathEnd: 22, names: '*',
+        },
+        {
+          line: 1, path: './all.selfies', pathStart: 15, pathEnd: 28, names: '*',
+        },
+        {
+          line: 2,
+          path: './frag.selfies',
+          pathStart: 29,
+          pathEnd: 43,
+          names: [
+            {
+              name: 'methyl', line: 2, start: 8, end: 14,
+            },
+            {
+              name: 'ethyl', line: 2, start: 16, end: 21,
+            },
+          ],
+        },
+      ]);
+    });
+
+    test('tolerates malformed lines', () => {
+      const { definitions, tokens } = scanFragments('[broken = [C\n[ok] = [C]');
+      expect(definitions.map((d) => d.name)).toEqual(['ok']);
+      expect(tokens.map((t) => t.value)).toEqual(['[C]']);
+    });
+  });
+
+  describe('findNameAt', () => {
+    test('finds bracket tokens and import list names', () => {
+      expect(findNameAt('[ethanol] = [ethyl][hydroxyl]', 3, 14)).toEqual({
+        name: 'ethyl', line: 3, start: 12, end: 19,
+      });
+      expect(findNameAt('import [methyl, ethyl] from "./f.selfies"', 0, 18)).toEqual({
+        name: 'ethyl', line: 0, start: 16, end: 21,
+      });
+      expect(findNameAt('[a] = [C]  # [b]', 0, 14)).toBeNull();
+    });
+  });
+
+  describe('findDefinitionLocation', () => {
+    test('resolves local definitions', () => {
+      const filePath = join(PROGRAMS_DIR, 'line-numbers-with-imports.selfies');
+      const location = findDefinitionLocation('compound2', filePath);
+
+      expect(location).toEqual({
+        filePath, name: 'compound2', line: 8, start: 0, end: 11,
+      });
+    });
+
+    test('follows imports to the defining file', () => {
+      const filePath = join(PROGRAMS_DIR, 'line-numbers-with-imports.selfies');
+      const location = findDefinitionLocation('base_frag2', filePath);
+
+      expect(location).toEqual({
+        filePath: join(PROGRAMS_DIR, 'fragments-base.selfies'),
+        name: 'base_frag2',
+        line: 2,
+        start: 0,
+        end: 12,
+      });
+    });
+
+    test('returns null for unknown names', () => {
+      const filePath = join(PROGRAMS_DIR, 'line-numbers-with-imports.selfies');
+      expect(findDefinitionLocation('missing', filePath)).toBeNull();
+    });
+  });
+
+  describe('relativeImportPath', () => {
+    test('writes paths relative to the importing file', () => {
+      expect(relativeImportPath('/p/lib/base.selfies', '/p/main.selfies')).toBe('./lib/base.selfies');
+      expect(relativeImportPath('/p/base.selfies', '/p/app/main.selfies')).toBe('../base.selfies');
+    });
+  });
+
+  describe('findImportContext', () => {
+    test('finds the path being typed', () => {
+      expect(findImportContext('import "./li"', 11)).toEqual({
+        kind: 'path', start: 8, end: 12, prefix: './l',
+      });
+      expect(findImportContext('import [a] from "./lib/', 23)).toEqual({
+        kind: 'path', start: 17, end: 23, prefix: './lib/',
+      });
+      expect(findImportContext('[a] = [C]', 8)).toBeNull();
+    });
+
+    test('finds the name being typed once the path is written', () => {
+      const line = 'import [methyl, et] from "./base.selfies"';
+      expect(findImportContext(line, 18)).toEqual({
+        kind: 'name', start: 16, end: 18, path: './base.selfies', taken: ['methyl'],
+      });
+      expect(findImportContext('import [methyl, ', 16)).toBeNull();
+    });
+  });
+
+  describe('locateImportError', () => {
+    const filePath = join(PROGRAMS_DIR, 'imports.selfies');
+    const source = [
+      '# Imports',
+      'import [base_frag1, missing] from "./fragments-base.selfies"',
+      'import "./nowhere.selfies"',
+      '',
+    ].join('\n');
+
+    test('moves loadWithImports errors onto the import statement', () => {
+      const located = loadWithImports(source, filePath).errors
+        .map((error) => locateImportError(source, error.message));
+      expect(located).toContainEqual({
+        line: 1, start: 20, end: 27, code: 'missing-import-name',
+      });
+      expect(located).toContainEqual({
+        line: 2, start: 7, end: 26, code: 'missing-import-file',
+      });
+    });
+
+    test('ignores other errors', () => {
+      expect(locateImportError(source, "Duplicate definition of 'a'")).toBeNull();
+    });
+  });
+
+  describe('findNameConflict', () => {
+    const base = join(PROGRAMS_DIR, 'fragments-base.selfies');
+    const importer = join(PROGRAMS_DIR, 'line-numbers-with-imports.selfies');
+    const files = [base, importer].map((filePath) => ({
+      filePath, text: readFileSync(filePath, 'utf-8'),
+    }));
+
+    test('finds importing files that already define or import the name', () => {
+      // Renaming base_frag1 to compound2 would bind [compound2] in the importer to its own fragment
+      expect(findNameConflict('compound2', files)).toBe(importer);
+      expect(findNameConflict('base_frag2', files.slice(1))).toBe(importer);
+      expect(findNameConflict('base_hydroxyl', files)).toBe(base);
+    });
+
+    test('accepts names free in every edited file', () => {
+      expect(findNameConflict('ethyl', files)).toBeNull();
+    });
+  });
+});
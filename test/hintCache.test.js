@@ -0,0 +1,93 @@
+/**
+ * Tests for the molecules inlay hints are drawn from
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { describeHint, selectHints, createHintCache } from '../src/hintCache.js';
+
+const ethanol = {
+  name: 'ethanol', endLine: 0, formula: 'C2H6O', molecularWeight: 46.069, smiles: 'CCO',
+};
+const broken = { name: 'broken', endLine: 2, error: 'Unknown fragment [x]' };
+
+function stubDocument(version = 1) {
+  return {
+    uri: { toString: () => 'file:///test/molecules.selfies' },
+    version,
+    isClosed: false,
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+describe('describeHint', () => {
+  test('shows the formula and weight, or a warning for errors', () => {
+    expect(describeHint(ethanol)).toEqual({ label: 'C2H6O · 46.07 g/mol', tooltip: 'CCO' });
+    expect(describeHint(broken)).toEqual({ label: '⚠', tooltip: 'Unknown fragment [x]' });
+    expect(describeHint({ name: 'empty', endLine: 1 })).toBeNull();
+  });
+});
+
+describe('selectHints', () => {
+  test('keeps molecules ending in the range and inside the document', () => {
+    expect(selectHints([ethanol, broken], 0, 10, 5).map((hint) => hint.line)).toEqual([0, 2]);
+    expect(selectHints([ethanol, broken], 1, 10, 5).map((hint) => hint.line)).toEqual([2]);
+    expect(selectHints([ethanol, broken], 0, 10, 2).map((hint) => hint.line)).toEqual([0]);
+  });
+});
+
+describe('createHintCache', () => {
+  test('resolves the molecules of a document as an array hints can be drawn from', async () => {
+    let collected = 0;
+    const hintCache = createHintCache(async () => {
+      collected += 1;
+      return { molecules: [ethanol] };
+    }, { idleDelayMs: 10, onRefresh: () => {} });
+    const document = stubDocument();
+
+    const molecules = await hintCache.getMolecules(document);
+    expect(selectHints(molecules, 0, 10, 5)).toEqual([
+      { line: 0, label: 'C2H6O · 46.07 g/mol', tooltip: 'CCO' },
+    ]);
+    expect(await hintCache.getMolecules(document)).toEqual([ethanol]);
+    expect(collected).toBe(1);
+  });
+
+  test('serves the last result while typing and refreshes once it pauses', async () => {
+    let molecules = [ethanol];
+    let refreshed = 0;
+    const hintCache = createHintCache(async () => ({ molecules }), {
+      idleDelayMs: 10,
+      onRefresh: () => { refreshed += 1; },
+    });
+    const document = stubDocument();
+    await hintCache.getMolecules(document);
+
+    molecules = [ethanol, broken];
+    document.version = 2;
+    hintCache.scheduleRefresh(document);
+    expect(await hintCache.getMolecules(document)).toEqual([ethanol]);
+
+    await wait(30);
+    expect(refreshed).toBe(1);
+    expect(await hintCache.getMolecules(document)).toEqual([ethanol, broken]);
+    hintCache.dispose();
+  });
+
+  test('drops cancelled results and forgets closed documents', async () => {
+    let cancelled = true;
+    const hintCache = createHintCache(async () => ({ molecules: [ethanol], cancelled }), {
+      idleDelayMs: 10,
+      onRefresh: () => {},
+    });
+    const document = stubDocument();
+
+    expect(await hintCache.getMolecules(document)).toEqual([]);
+    cancelled = false;
+    expect(await hintCache.getMolecules(document)).toEqual([ethanol]);
+
+    hintCache.forget(document);
+    cancelled = true;
+    expect(await hintCache.getMolecules(document)).toEqual([]);
+  });
+});
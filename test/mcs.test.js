@@ -0,0 +1,90 @@
+/**
+ * Tests for the maximum common substructure search
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  findMaximumCommonSubstructure,
+  findMaximumCommonSubstructureInWorker,
+} from '../src/mcs.js';
+
+/**
+ * Build a graph from a chain or ring description
+ * @param {string[]} elements - Element of each atom
+ * @param {Array<[number, number, (number|string)?]>} bonds - [begin, end, type]
+ * @param {number[]} aromaticAtoms - Indices of aromatic atoms
+ */
+function graph(elements, bonds, aromaticAtoms = []) {
+  return {
+    atoms: elements.map((element, index) => ({
+      element,
+      aromatic: aromaticAtoms.includes(index),
+    })),
+    bonds: bonds.map(([begin, end, type = 1]) => ({ begin, end, type })),
+  };
+}
+
+const benzeneRing = [[0, 1, 'aromatic'], [1, 2, 'aromatic'], [2, 3, 'aromatic'],
+  [3, 4, 'aromatic'], [4, 5, 'aromatic'], [5, 0, 'aromatic']];
+
+describe('findMaximumCommonSubstructure', () => {
+  test('matches a shared chain', () => {
+    // Ethanol C-C-O vs propanol C-C-C-O
+    const ethanol = graph(['C', 'C', 'O'], [[0, 1], [1, 2]]);
+    const propanol = graph(['C', 'C', 'C', 'O'], [[0, 1], [1, 2], [2, 3]]);
+
+    const result = findMaximumCommonSubstructure(ethanol, propanol);
+
+    expect(result.atomsA.length).toBe(3);
+    expect(result.bondsA.length).toBe(2);
+    expect(result.atomsB).toContain(3);
+    expect(result.timedOut).toBe(false);
+  });
+
+  test('keeps ring closures and pairs atoms by position', () => {
+    // Toluene vs phenol share the aromatic ring
+    const toluene = graph(['C', 'C', 'C', 'C', 'C', 'C', 'C'], [...benzeneRing, [0, 6]], [0, 1, 2, 3, 4, 5]);
+    const phenol = graph(['C', 'C', 'C', 'C', 'C', 'C', 'O'], [...benzeneRing, [0, 6]], [0, 1, 2, 3, 4, 5]);
+
+    const result = findMaximumCommonSubstructure(toluene, phenol);
+
+    expect(result.atomsA.length).toBe(6);
+    expect(result.bondsA.length).toBe(6);
+    expect(result.atomsA).not.toContain(6);
+    result.atomsA.forEach((atomA, index) => {
+      expect(phenol.atoms[result.atomsB[index]].element).toBe(toluene.atoms[atomA].element);
+    });
+  });
+
+  test('does not match different bond types or aromaticity', () => {
+    const ethene = graph(['C', 'C'], [[0, 1, 2]]);
+    const ethane = graph(['C', 'C'], [[0, 1, 1]]);
+    const aromatic = graph(['C', 'C'], [[0, 1, 'aromatic']], [0, 1]);
+
+    expect(findMaximumCommonSubstructure(ethene, ethane).bondsA).toEqual([]);
+    expect(findMaximumCommonSubstructure(ethane, aromatic).atomsA.length).toBe(0);
+  });
+
+  test('returns the best match so far when the time limit is reached', () => {
+    const chain = (length) => graph(
+      Array.from({ length }, () => 'C'),
+      Array.from({ length: length - 1 }, (_, index) => [index, index + 1]),
+    );
+
+    const result = findMaximumCommonSubstructure(chain(30), chain(30), { timeoutMs: 0 });
+
+    expect(result.timedOut).toBe(true);
+    expect(result.atomsA.length).toBe(result.atomsB.length);
+  });
+});
+
+describe('findMaximumCommonSubstructureInWorker', () => {
+  test('gives the same match as the search on the calling thread', async () => {
+    const ethanol = graph(['C', 'C', 'O'], [[0, 1], [1, 2]]);
+    const propanol = graph(['C', 'C', 'C', 'O'], [[0, 1], [1, 2], [2, 3]]);
+
+    const result = await findMaximumCommonSubstructureInWorker(ethanol, propanol);
+
+    expect(result).toEqual(findMaximumCommonSubstructure(ethanol, propanol));
+  });
+});
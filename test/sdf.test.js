@@ -0,0 +1,59 @@
+/**
+ * Tests for MOL block titles and SD file records
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { setMolBlockTitle, formatSdfRecord, formatSdf } from '../src/sdf.js';
+import { getMoleculeFormats } from '../src/rdkitRenderer.js';
+
+const molBlock = [
+  '',
+  '     RDKit          2D',
+  '',
+  '  1  0  0  0  0  0  0  0  0  0999 V2000',
+  '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+  'M  END',
+  '',
+].join('\n');
+
+describe('SD files', () => {
+  test('sets the title line of a MOL block', () => {
+    const titled = setMolBlockTitle(molBlock, 'methane');
+    expect(titled.split('\n')[0]).toBe('methane');
+    expect(titled.split('\n').slice(1)).toEqual(molBlock.split('\n').slice(1));
+    expect(setMolBlockTitle(molBlock, 'two\nlines').split('\n')[0]).toBe('two lines');
+  });
+
+  test('appends data items and the record delimiter', () => {
+    const record = formatSdfRecord(molBlock, 'methane', {
+      Formula: 'CH4',
+      MolecularWeight: '16.04',
+      Note: null,
+    });
+    expect(record.endsWith('M  END\n> <Formula>\nCH4\n\n> <MolecularWeight>\n16.04\n\n$$$$\n'))
+      .toBe(true);
+    expect(record).not.toContain('Note');
+  });
+
+  test('joins records in order', () => {
+    const sdf = formatSdf([
+      { molBlock, title: 'first' },
+      { molBlock, title: 'second', properties: { Formula: 'CH4' } },
+    ]);
+    const records = sdf.split('$$$$\n');
+    expect(records).toHaveLength(3);
+    expect(records[0].startsWith('first\n')).toBe(true);
+    expect(records[1].startsWith('second\n')).toBe(true);
+    expect(records[2]).toBe('');
+  });
+});
+
+describe('getMoleculeFormats', () => {
+  test('converts with RDKit', async () => {
+    const formats = await getMoleculeFormats('OCC');
+    expect(formats.canonicalSmiles).toBe('CCO');
+    expect(formats.inchi).toBe('InChI=1S/C2H6O/c1-2-3/h3H,2H2,1H3');
+    expect(formats.inchiKey).toBe('LFQSCWFLJHTTHZ-UHFFFAOYSA-N');
+    expect(formats.molBlock).toContain('M  END');
+  });
+});
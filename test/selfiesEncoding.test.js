@@ -0,0 +1,40 @@
+/**
+ * Tests for SELFIES encoding checked by a round trip through RDKit
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { encodeStructure } from '../src/selfiesEncoding.js';
+
+describe('encodeStructure', () => {
+  test('encodes SMILES that survive the round trip', async () => {
+    expect(await encodeStructure({ smiles: 'CCO' })).toEqual({ smiles: 'CCO', selfies: '[C][C][O]' });
+
+    const phenol = await encodeStructure({ smiles: 'c1ccccc1O' });
+    expect(phenol.selfies).toBe('[C][=C][C][=C][C][=C][Ring1][=Branch1][O]');
+  });
+
+  test('accepts MOL blocks', async () => {
+    const molBlock = [
+      '',
+      '     RDKit          2D',
+      '',
+      '  2  1  0  0  0  0  0  0  0  0999 V2000',
+      '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+      '    1.2990    0.7500    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0',
+      '  1  2  1  0',
+      'M  END',
+      '',
+    ].join('\n');
+    expect(await encodeStructure({ molBlock })).toEqual({ smiles: 'CO', selfies: '[C][O]' });
+  });
+
+  test('rejects invalid SMILES', async () => {
+    await expect(encodeStructure({ smiles: 'C1CC' })).rejects.toThrow('Invalid SMILES "C1CC"');
+  });
+
+  test('rejects encodings that lose information', async () => {
+    // The encoder drops stereochemistry, so the decoded molecule differs
+    await expect(encodeStructure({ smiles: 'C[C@H](N)C(=O)O' }))
+      .rejects.toThrow('does not reproduce');
+  });
+});
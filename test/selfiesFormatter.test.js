@@ -0,0 +1,72 @@
+/**
+ * Tests for the .selfies formatter
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { formatSelfies, findResolutionChanges } from '../src/selfiesFormatter.js';
+
+const FILE = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'programs', 'format.selfies');
+
+describe('formatSelfies', () => {
+  const source = [
+    '',
+    "import  [methyl,ethyl]   from './base.selfies'",
+    'import   "./rings.selfies"   ',
+    '',
+    '',
+    '# region Alcohols',
+    '  [methanol]=[C] [O]     # wood alcohol   ',
+    '[ethanol]   =   [C][C]  [O]',
+    '[polymer] = repeat( [C] [O] ,  3 )[C]',
+    '# endregion',
+    '',
+    '',
+  ].join('\n');
+
+  test('normalizes spacing, imports and blank lines but keeps comments', () => {
+    expect(formatSelfies(source)).toBe([
+      'import [methyl, ethyl] from "./base.selfies"',
+      'import "./rings.selfies"',
+      '',
+      '# region Alcohols',
+      '[methanol] = [C][O]  # wood alcohol',
+      '[ethanol] = [C][C][O]',
+      '[polymer] = repeat([C][O], 3)[C]',
+      '# endregion',
+      '',
+    ].join('\n'));
+  });
+
+  test('aligns = within runs of definitions', () => {
+    const formatted = formatSelfies('[a] = [C]\n[long] = [O]\n\n[b]=[N]\n', { alignEquals: true });
+    expect(formatted).toBe('[a]    = [C]\n[long] = [O]\n\n[b] = [N]\n');
+  });
+
+  test('leaves unrecognized lines and ranges alone apart from whitespace', () => {
+    expect(formatSelfies('[x] = [C] oops  \n')).toBe('[x] = [C] oops\n');
+    expect(formatSelfies('\n[a] = [C]\n\n\n', { wholeDocument: false })).toBe('\n[a] = [C]\n');
+  });
+
+  test('is stable', () => {
+    const once = formatSelfies(source, { alignEquals: true });
+    expect(formatSelfies(once, { alignEquals: true })).toBe(once);
+  });
+});
+
+describe('findResolutionChanges', () => {
+  test('accepts layout changes', () => {
+    const original = '[methyl] = [C]\n[ethanol]=[methyl] [C][O]\n';
+    expect(findResolutionChanges(original, formatSelfies(original), FILE)).toEqual([]);
+  });
+
+  test('reports definitions that would resolve differently', () => {
+    expect(findResolutionChanges('[a] = [C][O]\n', '[a] = [C]\n', FILE)).toEqual(['a']);
+    expect(findResolutionChanges('[a] = [C]\n', '[b] = [C]\n', FILE)).toEqual(['a', 'b']);
+  });
+
+  test('cannot check sources that do not parse', () => {
+    expect(findResolutionChanges('import "unclosed\n', '', FILE)).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for classifying .selfies tokens for semantic highlighting
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { classifyToken, scanSemanticTokens } from '../src/semanticScanner.js';
+
+const names = {
+  local: new Set(['methyl', 'C']),
+  imported: new Set(['phenyl']),
+  complete: true,
+};
+
+describe('classifyToken', () => {
+  test('prefers fragment names over atoms', () => {
+    expect(classifyToken('methyl', names)).toEqual({ type: 'fragment', modifiers: [] });
+    expect(classifyToken('C', names)).toEqual({ type: 'fragment', modifiers: [] });
+    expect(classifyToken('phenyl', names)).toEqual({ type: 'fragment', modifiers: ['imported'] });
+  });
+
+  test('classifies atoms by element and bond prefix', () => {
+    const atomsOnly = { local: new Set(), imported: new Set(), complete: true };
+    expect(classifyToken('C', atomsOnly)).toEqual({ type: 'atom', modifiers: ['carbon'] });
+    expect(classifyToken('=O', atomsOnly)).toEqual({ type: 'atom', modifiers: ['bonded', 'oxygen'] });
+    expect(classifyToken('#N', atomsOnly)).toEqual({ type: 'atom', modifiers: ['bonded', 'nitrogen'] });
+    expect(classifyToken('Cl', atomsOnly)).toEqual({ type: 'atom', modifiers: ['halogen'] });
+    expect(classifyToken('N+1', atomsOnly)).toEqual({ type: 'atom', modifiers: ['nitrogen'] });
+    expect(classifyToken('C@@H1', atomsOnly)).toEqual({ type: 'atom', modifiers: ['carbon'] });
+    expect(classifyToken('13C', atomsOnly)).toEqual({ type: 'atom', modifiers: ['carbon'] });
+    expect(classifyToken('Na', atomsOnly)).toEqual({ type: 'atom', modifiers: ['otherElement'] });
+  });
+
+  test('classifies branch and ring tokens', () => {
+    expect(classifyToken('Branch1', names)).toEqual({ type: 'branch', modifiers: [] });
+    expect(classifyToken('=Branch2', names)).toEqual({ type: 'branch', modifiers: ['bonded'] });
+    expect(classifyToken('Ring1', names)).toEqual({ type: 'ring', modifiers: [] });
+  });
+
+  test('reports unknown names only when every import is known', () => {
+    expect(classifyToken('metyl', names)).toEqual({ type: 'fragment', modifiers: ['unresolved'] });
+    expect(classifyToken('Xx', names)).toEqual({ type: 'fragment', modifiers: ['unresolved'] });
+    expect(classifyToken('metyl', { ...names, complete: false })).toBeNull();
+    expect(classifyToken('nop', names)).toBeNull();
+  });
+});
+
+describe('scanSemanticTokens', () => {
+  test('lists definitions, imports, body tokens and repeat calls in order', () => {
+    const source = [
+      'import [phenyl] from "./rings.selfies"',
+      '[methyl] = [C]  # [nope]',
+      '[chain] = [methyl]repeat([C][=O], 2)[phenyl]',
+    ].join('\n');
+
+    const tokens = scanSemanticTokens(source, {
+      local: new Set(['methyl', 'chain']),
+      imported: new Set(['phenyl']),
+      complete: true,
+    });
+    expect(tokens.map(({
+      line, start, length, type, modifiers,
+    }) => `${line}:${start}+${length} ${type} ${modifiers.join(',')}`.trim())).toEqual([
+      '0:8+6 fragment imported',
+      '1:0+8 fragment declaration',
+      '1:11+3 atom carbon',
+      '2:0+7 fragment declaration',
+      '2:10+8 fragment',
+      '2:18+6 macro',
+      '2:25+3 atom carbon',
+      '2:28+4 atom bonded,oxygen',
+      '2:36+8 fragment imported',
+    ]);
+  });
+});
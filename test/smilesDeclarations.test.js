@@ -0,0 +1,79 @@
+/**
+ * Tests for locating molecule bindings in .smiles.js source
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { parseSmilesModule, findDeclarationAt } from '../src/smilesDeclarations.js';
+
+const SOURCE = [
+  "import { Fragment, Ring } from 'smiles-js';",
+  '',
+  "export const methane = Fragment('C');",
+  'const benzene = Ring({',
+  "  atoms: 'c',",
+  '  size: 6,',
+  '});',
+  "let ethanol = Fragment('CCO'), water = Fragment('O');",
+  'export const { left, right } = pair;',
+  'export { benzene as aromatic };',
+].join('\n');
+
+/**
+ * Offset of the first occurrence of `needle` in the source, plus `delta`
+ */
+function offsetOf(needle, delta = 0) {
+  return SOURCE.indexOf(needle) + delta;
+}
+
+describe('parseSmilesModule', () => {
+  test('lists top-level bindings with export names and positions', () => {
+    const { declarations, error } = parseSmilesModule(SOURCE);
+
+    expect(error).toBeNull();
+    expect(declarations.map((d) => [d.name, d.exportName, d.kind])).toEqual([
+      ['methane', 'methane', 'const'],
+      ['benzene', 'aromatic', 'const'],
+      ['ethanol', null, 'let'],
+      ['water', null, 'let'],
+      ['left', 'left', 'const'],
+      ['right', 'right', 'const'],
+    ]);
+
+    const methane = declarations[0];
+    expect([methane.line, methane.start, methane.end]).toEqual([2, 13, 20]);
+    expect(methane.smiles).toBe('C');
+    expect(declarations[1].endLine).toBe(6);
+    expect(declarations[1].smiles).toBeNull();
+  });
+
+  test('reports syntax errors with a 0-based position', () => {
+    const { declarations, error } = parseSmilesModule("const a = Fragment('C';\n");
+
+    expect(declarations).toEqual([]);
+    expect(error.line).toBe(0);
+    expect(error.message).toMatch(/^Unexpected token/);
+  });
+});
+
+describe('findDeclarationAt', () => {
+  const { declarations } = parseSmilesModule(SOURCE);
+  const nameAt = (offset) => findDeclarationAt(declarations, offset)?.name ?? null;
+
+  test('maps any position inside a multi-line declaration to its binding', () => {
+    expect(nameAt(offsetOf('const benzene'))).toBe('benzene');
+    expect(nameAt(offsetOf('size: 6'))).toBe('benzene');
+    expect(nameAt(offsetOf('});', 2))).toBe('benzene');
+  });
+
+  test('picks the declarator under the cursor', () => {
+    expect(nameAt(offsetOf('let ethanol'))).toBe('ethanol');
+    expect(nameAt(offsetOf("Fragment('O')"))).toBe('water');
+    expect(nameAt(offsetOf('right'))).toBe('right');
+    expect(nameAt(offsetOf('= pair'))).toBe('left');
+  });
+
+  test('returns null outside declarations', () => {
+    expect(nameAt(offsetOf('import'))).toBeNull();
+    expect(nameAt(offsetOf('export { benzene'))).toBeNull();
+  });
+});
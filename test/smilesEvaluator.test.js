@@ -0,0 +1,96 @@
+/**
+ * Tests for evaluating .smiles.js modules in a worker thread
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { join, dirname } from 'path';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { evaluateSmilesModule } from '../src/smilesEvaluator.js';
+
+const PROGRAMS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'programs');
+
+describe('evaluateSmilesModule', () => {
+  test('returns serializable data for Fragment-like exports only', async () => {
+    const result = await evaluateSmilesModule(join(PROGRAMS_DIR, 'evaluator-plain.smiles.js'));
+
+    expect(result).toEqual({
+      fragments: {
+        ethanol: { smiles: 'CCO', formula: 'C2H6O', molecularWeight: 46.07 },
+        water: { smiles: 'O', formula: 'H2O', molecularWeight: 18.02 },
+      },
+      error: null,
+    });
+  });
+
+  test('generates code only for requested exports', async () => {
+    const { fragments } = await evaluateSmilesModule(
+      join(PROGRAMS_DIR, 'evaluator-plain.smiles.js'),
+      { codeFor: ['ethanol', 'water'] },
+    );
+
+    expect(fragments.ethanol.code).toBe("export const ethanol = Fragment('CCO');");
+    expect(fragments.ethanol.codeError).toBeNull();
+    expect(fragments.water.code).toBeNull();
+    expect(fragments.water.codeError).toBe('Export "water" does not have a toCode() method');
+  });
+
+  test('evaluates unsaved source with extra exports and cleans up the copy', async () => {
+    const filePath = join(PROGRAMS_DIR, 'evaluator-plain.smiles.js');
+    const source = `${readFileSync(filePath, 'utf-8')}\nconst methanol = fragment('CO', 'CH4O', 32.04);\n`;
+
+    const { fragments, error } = await evaluateSmilesModule(filePath, {
+      source,
+      exportNames: ['methanol'],
+    });
+
+    expect(error).toBeNull();
+    expect(fragments.methanol).toEqual({ smiles: 'CO', formula: 'CH4O', molecularWeight: 32.04 });
+    expect(readdirSync(PROGRAMS_DIR).filter((name) => name.startsWith('.'))).toEqual([]);
+    expect(readFileSync(filePath, 'utf-8')).not.toContain('methanol');
+  });
+
+  test('evaluates unsaved source without writing to the source folder', async () => {
+    const filePath = join(PROGRAMS_DIR, 'evaluator-imports.smiles.js');
+    const source = `${readFileSync(filePath, 'utf-8')}\nconst water = { smiles: 'O' };\n`;
+    const before = readdirSync(PROGRAMS_DIR);
+
+    const evaluation = evaluateSmilesModule(filePath, { source, exportNames: ['water'] });
+    expect(readdirSync(PROGRAMS_DIR)).toEqual(before);
+    const { fragments, error } = await evaluation;
+
+    expect(error).toBeNull();
+    expect(fragments.alcohol.smiles).toBe('CCO');
+    expect(fragments.methane.smiles).toBe('C');
+    expect(fragments.water.smiles).toBe('O');
+    expect(readdirSync(PROGRAMS_DIR)).toEqual(before);
+    expect(existsSync(join(PROGRAMS_DIR, '..', '..', '..', 'node_modules', 'selfies-js'))).toBe(true);
+  });
+
+  test('reports module errors with the line number', async () => {
+    const result = await evaluateSmilesModule(join(PROGRAMS_DIR, 'evaluator-throws.smiles.js'));
+
+    expect(result.fragments).toBeNull();
+    expect(result.error).toMatch(/^Line 7: Broken fragment library$/);
+  });
+
+  test('stops modules that never finish', async () => {
+    const result = await evaluateSmilesModule(
+      join(PROGRAMS_DIR, 'evaluator-hangs.smiles.js'),
+      { timeoutMs: 500 },
+    );
+
+    expect(result).toEqual({ fragments: null, error: 'Evaluation timed out after 500 ms' });
+  });
+
+  test('stops when the evaluation is cancelled', async () => {
+    const controller = new AbortController();
+    const evaluation = evaluateSmilesModule(
+      join(PROGRAMS_DIR, 'evaluator-hangs.smiles.js'),
+      { source: readFileSync(join(PROGRAMS_DIR, 'evaluator-hangs.smiles.js'), 'utf-8'), signal: controller.signal },
+    );
+    setTimeout(() => controller.abort(), 100);
+
+    expect(await evaluation).toEqual({ fragments: null, error: null, cancelled: true });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for finding fragments and imports nothing uses across files
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  indexFiles, findUnused, findImportersUsing, removeImportEdit,
+} from '../src/usageAnalysis.js';
+import { applyEdits } from '../src/fragmentRefactoring.js';
+
+const PROGRAMS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'programs');
+
+const unusedNames = (index, file) => {
+  const { definitions, imports } = findUnused(index, file);
+  return {
+    definitions: definitions.map((definition) => definition.name),
+    imports: imports.map((entry) => entry.name || entry.path),
+  };
+};
+
+describe('findUnused', () => {
+  test('lists unused names and whole-file imports', () => {
+    const index = indexFiles(new Map([
+      ['/lib/base.selfies', '[methyl] = [C]\n[ethyl] = [C][C]\n[propyl] = [C][C][C]\n'],
+      ['/lib/rings.selfies', '[phenyl] = [C][=C][C][=C][C][=C][Ring1][=Branch1]\n'],
+      ['/lib/main.selfies', [
+        'import [methyl, ethyl, propyl] from "./base.selfies"',
+        'import "./rings.selfies"',
+        '[a] = [ethyl][C]',
+        '',
+      ].join('\n')],
+    ]));
+
+    expect(findUnused(index, '/lib/main.selfies').imports).toEqual([
+      {
+        line: 0, start: 8, end: 14, name: 'methyl', path: './base.selfies',
+      },
+      {
+        line: 0, start: 23, end: 29, name: 'propyl', path: './base.selfies',
+      },
+      {
+        line: 1, start: 0, end: 24, name: null, path: './rings.selfies',
+      },
+    ]);
+    expect(unusedNames(index, '/lib/main.selfies').definitions).toEqual(['a']);
+    expect(unusedNames(index, '/lib/base.selfies').definitions).toEqual(['methyl', 'propyl']);
+    expect(unusedNames(index, '/lib/rings.selfies').definitions).toEqual(['phenyl']);
+  });
+
+  test('follows names re-exported through further imports', () => {
+    const index = indexFiles(new Map([
+      ['/p/base.selfies', '[methyl] = [C]\n[hydroxyl] = [O]\n'],
+      ['/p/groups.selfies', 'import * from "./base.selfies"\n[methanol] = [methyl][hydroxyl]\n'],
+      ['/p/app.selfies', 'import [methyl, methanol] from "./groups.selfies"\n[x] = [methyl][methanol]\n'],
+    ]));
+
+    expect(unusedNames(index, '/p/base.selfies').definitions).toEqual([]);
+    expect(unusedNames(index, '/p/groups.selfies')).toEqual({ definitions: [], imports: [] });
+    expect(unusedNames(index, '/p/app.selfies')).toEqual({ definitions: ['x'], imports: [] });
+  });
+
+  test('a local definition shadows the imported name', () => {
+    const index = indexFiles(new Map([
+      ['/s/base.selfies', '[methyl] = [C]\n'],
+      ['/s/app.selfies', 'import [methyl] from "./base.selfies"\n[methyl] = [C][H]\n[x] = [methyl]\n'],
+    ]));
+
+    expect(unusedNames(index, '/s/base.selfies').definitions).toEqual(['methyl']);
+    expect(unusedNames(index, '/s/app.selfies').imports).toEqual(['methyl']);
+  });
+
+  test('ends on import cycles and ignores files it was not given', () => {
+    const index = indexFiles(new Map([
+      ['/c/a.selfies', 'import * from "./b.selfies"\nimport * from "./missing.selfies"\n[a] = [C]\n'],
+      ['/c/b.selfies', 'import * from "./a.selfies"\n[b] = [a]\n'],
+    ]));
+
+    expect(unusedNames(index, '/c/a.selfies')).toEqual({ definitions: [], imports: ['./b.selfies'] });
+    expect(unusedNames(index, '/c/b.selfies')).toEqual({ definitions: ['b'], imports: [] });
+    expect(findUnused(index, '/c/other.selfies')).toEqual({ definitions: [], imports: [] });
+  });
+
+  test('the fixture programs use what they import', () => {
+    const files = new Map(['fragments-base.selfies', 'line-numbers-with-imports.selfies']
+      .map((file) => [join(PROGRAMS_DIR, file), readFileSync(join(PROGRAMS_DIR, file), 'utf-8')]));
+    const index = indexFiles(files);
+    expect(findUnused(index, join(PROGRAMS_DIR, 'line-numbers-with-imports.selfies')).imports)
+      .toEqual([]);
+  });
+});
+
+describe('findImportersUsing', () => {
+  test('lists the files that use a fragment through their imports', () => {
+    const index = indexFiles(new Map([
+      ['/q/base.selfies', '[methyl] = [C]\n[hydroxyl] = [O]\n[a] = [methyl]\n'],
+      ['/q/groups.selfies', 'import * from "./base.selfies"\n[hydroxyl] = [O][H]\n'],
+      ['/q/app.selfies', 'import [methyl] from "./groups.selfies"\n[x] = [methyl]\n'],
+      ['/q/other.selfies', 'import [hydroxyl] from "./base.selfies"\n'],
+    ]));
+
+    expect(findImportersUsing(index, '/q/base.selfies', 'methyl')).toEqual(['/q/groups.selfies']);
+    expect(findImportersUsing(index, '/q/base.selfies', 'hydroxyl')).toEqual([]);
+    expect(findImportersUsing(index, '/q/app.selfies', 'x')).toEqual([]);
+  });
+});
+
+describe('removeImportEdit', () => {
+  const source = [
+    'import [methyl, ethyl, propyl] from "./base.selfies"',
+    'import "./rings.selfies"',
+    '[a] = [ethyl][C]',
+    '',
+  ].join('\n');
+
+  test('removes a name from the list or the whole statement', () => {
+    const firstRemoved = applyEdits(source, [removeImportEdit(source, 0, 'methyl')]);
+    expect(firstRemoved.split('\n')[0]).toBe('import [ethyl, propyl] from "./base.selfies"');
+    const lastRemoved = applyEdits(source, [removeImportEdit(source, 0, 'propyl')]);
+    expect(lastRemoved.split('\n')[0]).toBe('import [methyl, ethyl] from "./base.selfies"');
+    const lineRemoved = applyEdits(source, [removeImportEdit(source, 1, null)]);
+    expect(lineRemoved.split('\n')[1]).toBe('[a] = [ethyl][C]');
+  });
+});